@@ -0,0 +1,97 @@
+/**
+ * Compares the legacy per-trade rolling window against the bucketed one.
+ *
+ * Usage: node --expose-gc scripts/benchmark-rolling-window.js [symbols] [tradesPerSecond] [minutes]
+ */
+const { createRollingWindow } = require('../src/rolling-window');
+
+const WINDOW_MS = 15 * 60_000;
+
+// The pre-bucketing implementation, kept here only as a baseline.
+function createLegacyRollingWindow(windowMs) {
+  const entries = [];
+  let sum = 0;
+
+  function add(ts, value) {
+    entries.push({ ts, value });
+    sum += value;
+  }
+
+  function prune(now) {
+    const cutoff = now - windowMs;
+    while (entries.length && entries[0].ts < cutoff) {
+      const item = entries.shift();
+      sum -= item.value;
+    }
+  }
+
+  function getSum() {
+    return sum;
+  }
+
+  return { add, prune, getSum };
+}
+
+function collectGarbage() {
+  if (typeof global.gc === 'function') global.gc();
+}
+
+// Typed arrays live outside the JS heap, so count their backing stores too.
+function retainedBytes() {
+  const { heapUsed, arrayBuffers } = process.memoryUsage();
+  return heapUsed + arrayBuffers;
+}
+
+function run(name, factory, { symbols, tradesPerSecond, minutes }) {
+  collectGarbage();
+  const before = retainedBytes();
+
+  const windows = Array.from({ length: symbols }, () => factory(WINDOW_MS));
+  const start = 1_700_000_000_000;
+  const totalTrades = symbols * tradesPerSecond * minutes * 60;
+  const stepMs = 1_000 / tradesPerSecond;
+
+  const t0 = process.hrtime.bigint();
+  for (let i = 0; i < totalTrades; i += 1) {
+    const window = windows[i % symbols];
+    const now = start + Math.floor(i / symbols) * stepMs;
+    // Occasionally deliver a trade a few seconds late to exercise reordering.
+    const tradeTime = i % 50 === 0 ? now - 3_000 : now;
+    window.add(tradeTime, 100);
+    window.prune(now);
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - t0) / 1e6;
+
+  collectGarbage();
+  const after = retainedBytes();
+
+  return {
+    implementation: name,
+    trades: totalTrades,
+    elapsedMs: Math.round(elapsedMs),
+    tradesPerSec: Math.round(totalTrades / (elapsedMs / 1_000)),
+    retainedMb: Number(((after - before) / 1024 / 1024).toFixed(2)),
+    sampleSum: windows[0].getSum(),
+    // Keep windows reachable until after the heap measurement.
+    windowCount: windows.length,
+  };
+}
+
+function main() {
+  const [symbols = 300, tradesPerSecond = 20, minutes = 20] = process.argv
+    .slice(2)
+    .map(Number);
+  const options = { symbols, tradesPerSecond, minutes };
+
+  if (typeof global.gc !== 'function') {
+    console.warn('Run with --expose-gc for accurate heap numbers.');
+  }
+
+  console.log('Options:', options);
+  console.table([
+    run('legacy (array + shift)', createLegacyRollingWindow, options),
+    run('bucketed ring', createRollingWindow, options),
+  ]);
+}
+
+main();
@@ -0,0 +1,246 @@
+/**
+ * Replays recorded trades (see TRADE_RECORD_DIR) through the worker's alert
+ * rules on a simulated clock and prints the alerts each parameter combination
+ * would have fired. Alerts go to a local sink; nothing touches the network.
+ *
+ * Usage:
+ *   node scripts/replay.js <file.ndjson[.gz] | dir> [options]
+ *
+ * Options:
+ *   --combo "threshold=400k window=15m cooldown=15m"   repeatable, one per column
+ *           keys: threshold, window, windows (1m:150k,5m,...), cooldown, mode, multiplier, zscore,
+ *                 rearm (% of threshold, 0 = off), tiers (2,5,10 or off),
+ *                 digest (window, 0 = off), digestmin (symbols), cap (pushes per minute, 0 = off)
+ *   --market spot|futures   trades to replay (default: spot)
+ *   --exchange binance|...  only replay trades recorded from this exchange
+ *   --symbols btcusdt,...   only replay these symbols
+ *   --limit N               alerts listed per combination (default: 50, 0 = summary only)
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+const {
+  startWorker,
+  parseWindowDefinitions,
+  parseDuration,
+  parseAmount,
+} = require('../src/index');
+const { parseEscalationTiers } = require('../src/alert-triggers');
+const { createPushLimiter } = require('../src/alert-digest');
+const { createLogger } = require('../src/logger');
+const { FILE_PATTERN } = require('../src/trade-recorder');
+
+function usage(message) {
+  if (message) console.error(`Error: ${message}\n`);
+  console.error('Usage: node scripts/replay.js <file.ndjson[.gz] | dir> --combo "threshold=400k window=15m cooldown=15m" [--combo ...]');
+  console.error('       [--market spot|futures] [--exchange binance] [--symbols btcusdt,ethusdt] [--limit 50]');
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { input: undefined, combos: [], market: 'spot', exchange: undefined, symbols: undefined, limit: 50 };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+      i += 1;
+      return argv[i];
+    };
+
+    if (arg === '--combo') args.combos.push(next());
+    else if (arg === '--market') args.market = next();
+    else if (arg === '--exchange') args.exchange = next().toLowerCase();
+    else if (arg === '--symbols') args.symbols = new Set(next().toLowerCase().split(',').filter(Boolean));
+    else if (arg === '--limit') args.limit = Number(next());
+    else if (arg.startsWith('--')) usage(`unknown option ${arg}`);
+    else args.input = arg;
+  }
+
+  if (!args.input) usage('missing trade file or directory');
+  if (!args.combos.length) usage('at least one --combo is required');
+  if (args.market !== 'spot' && args.market !== 'futures') usage('--market must be spot or futures');
+  if (!Number.isInteger(args.limit) || args.limit < 0) usage('--limit must be a non-negative integer');
+  return args;
+}
+
+/** `threshold=400k window=15m cooldown=15m` -> startWorker options. */
+function parseCombo(label) {
+  const fields = Object.fromEntries(
+    label.trim().split(/\s+/).map((pair) => {
+      const [key, ...rest] = pair.split('=');
+      return [key.toLowerCase(), rest.join('=')];
+    })
+  );
+
+  const thresholdUsd = parseAmount(fields.threshold);
+  const windowMs = parseDuration(fields.window || '15m');
+  const cooldownMs = parseDuration(fields.cooldown || '15m');
+  const windows = parseWindowDefinitions(fields.windows);
+  if (!(thresholdUsd > 0)) usage(`combo "${label}": threshold is required, e.g. threshold=400k`);
+  if (!(windowMs > 0)) usage(`combo "${label}": invalid window`);
+  if (!(cooldownMs >= 0)) usage(`combo "${label}": invalid cooldown`);
+  if (fields.windows && !windows.length) usage(`combo "${label}": invalid windows`);
+
+  const rearmPct = fields.rearm === undefined ? 80 : Number(fields.rearm);
+  if (!(rearmPct >= 0 && rearmPct <= 100)) usage(`combo "${label}": rearm must be 0-100`);
+  let escalationTiers;
+  try {
+    escalationTiers = fields.tiers === undefined ? undefined : parseEscalationTiers(fields.tiers);
+  } catch (error) {
+    usage(`combo "${label}": tiers ${error.message}`);
+  }
+
+  const digestWindowMs = parseDuration(fields.digest || '5s');
+  const digestMinSymbols = Number(fields.digestmin || 5);
+  const maxPushesPerMinute = Number(fields.cap || 20);
+  if (!(digestWindowMs >= 0)) usage(`combo "${label}": invalid digest window`);
+  if (!(Number.isInteger(digestMinSymbols) && digestMinSymbols >= 1)) usage(`combo "${label}": invalid digestmin`);
+  if (!(Number.isInteger(maxPushesPerMinute) && maxPushesPerMinute >= 0)) usage(`combo "${label}": invalid cap`);
+
+  return {
+    label,
+    options: {
+      initialVolumeThresholdUsd: thresholdUsd,
+      volumeWindowMs: windowMs,
+      notificationCooldownMs: cooldownMs,
+      rearmRatio: rearmPct / 100,
+      escalationTiers,
+      windowDefinitions: windows,
+      digest: { windowMs: digestWindowMs, minSymbols: digestMinSymbols },
+      pushLimiter: createPushLimiter({ maxPerMinute: maxPushesPerMinute }),
+      baseline: {
+        mode: fields.mode || 'absolute',
+        multiplier: Number(fields.multiplier) || undefined,
+        zScore: Number(fields.zscore) || 0,
+      },
+    },
+  };
+}
+
+// A directory replays every recorded hour file in chronological order
+function listInputFiles(input) {
+  if (!fs.statSync(input).isDirectory()) return [input];
+
+  return fs.readdirSync(input)
+    .map((name) => ({ name, match: FILE_PATTERN.exec(name) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.match[1].localeCompare(b.match[1]) || Number(a.match[2] || 0) - Number(b.match[2] || 0))
+    .map(({ name }) => path.join(input, name));
+}
+
+async function* readTrades(files) {
+  for (const file of files) {
+    let stream = fs.createReadStream(file);
+    if (file.endsWith('.gz')) stream = stream.pipe(zlib.createGunzip());
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        try {
+          yield JSON.parse(line);
+        } catch (error) {
+          // A file cut off by a crash ends with a partial line; skip it
+        }
+      }
+    } catch (error) {
+      // Truncated gzip (recorder killed mid-write): keep what was readable
+      console.warn(`Warning: stopped reading ${file} early: ${error.message}`);
+    }
+  }
+}
+
+function alertSymbols(alert) {
+  return alert.alert === 'digest' ? alert.details.movers.map((mover) => mover.symbol) : [alert.symbol];
+}
+
+function formatUsd(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const files = listInputFiles(args.input);
+  if (!files.length) usage(`no recorded trade files in ${args.input}`);
+
+  let simulatedNow = 0;
+  const log = createLogger('error');
+  const runs = [];
+
+  for (const { label, options } of args.combos.map(parseCombo)) {
+    const alerts = [];
+    const worker = await startWorker({
+      ...options,
+      log,
+      type: args.market,
+      connect: false,
+      clock: () => simulatedNow,
+      sink: async (alert) => {
+        alerts.push(alert);
+        return { total: 0, successful: 0 };
+      },
+    });
+    runs.push({ label, worker, alerts });
+  }
+
+  let replayed = 0;
+  let firstTradeAt;
+  for await (const trade of readTrades(files)) {
+    if (trade.market !== args.market) continue;
+    if (args.exchange && trade.exchange !== args.exchange) continue;
+    if (args.symbols && !args.symbols.has(trade.symbol)) continue;
+
+    const quoteUsd = Number(trade.quoteUsd);
+    const time = Number(trade.time);
+    if (!Number.isFinite(quoteUsd) || !Number.isFinite(time)) continue;
+
+    // Trades from different streams can arrive slightly out of order; never move the clock back
+    simulatedNow = Math.max(simulatedNow, time);
+    firstTradeAt = firstTradeAt ?? time;
+    replayed += 1;
+
+    const parsed = { symbol: trade.symbol, tradeTime: time, quoteUsd, side: trade.side };
+    for (const run of runs) {
+      await run.worker.ingestTrade(parsed);
+    }
+  }
+
+  await Promise.all(runs.map((run) => run.worker.stop()));
+
+  console.log(`Replayed ${replayed.toLocaleString('en-US')} ${args.market} trades from ${files.length} file(s)`
+    + (replayed ? `, ${new Date(firstTradeAt).toISOString()} -> ${new Date(simulatedNow).toISOString()}` : ''));
+
+  console.table(runs.map(({ label, alerts }) => ({
+    combo: label,
+    alerts: alerts.length,
+    escalations: alerts.filter((alert) => alert.details.escalation).length,
+    digests: alerts.filter((alert) => alert.alert === 'digest').length,
+    symbols: new Set(alerts.flatMap(alertSymbols)).size,
+    first: alerts.length ? new Date(alerts[0].at).toISOString() : '-',
+    last: alerts.length ? new Date(alerts[alerts.length - 1].at).toISOString() : '-',
+  })));
+
+  if (!args.limit) return;
+  for (const { label, alerts } of runs) {
+    if (!alerts.length) continue;
+    console.log(`\n${label}${alerts.length > args.limit ? ` (first ${args.limit} of ${alerts.length})` : ''}`);
+    console.table(alerts.slice(0, args.limit).map((alert) => ({
+      time: new Date(alert.at).toISOString(),
+      alert: alert.alert,
+      symbol: alert.alert === 'digest'
+        ? `${alert.details.symbolCount} symbols: ${alertSymbols(alert).slice(0, 3).join(',').toUpperCase()}`
+        : alert.symbol.toUpperCase(),
+      window: alert.details.window || '',
+      volume: alert.volumeUsd !== undefined ? formatUsd(alert.volumeUsd) : formatUsd(alert.details.netFlowUsd),
+      trigger: alert.details.trigger || alert.details.direction || '',
+      tier: alert.details.tier ? `${alert.details.tier}x${alert.details.escalation ? ' (escalation)' : ''}` : '',
+    })));
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
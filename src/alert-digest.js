@@ -0,0 +1,167 @@
+const DEFAULT_WINDOW_MS = 5_000;
+const DEFAULT_MIN_SYMBOLS = 5;
+const DEFAULT_TOP_MOVERS = 10;
+const RATE_WINDOW_MS = 60_000;
+
+/**
+ * Sliding one-minute push budget. `maxPerMinute` 0 means unlimited. One
+ * limiter can be shared by several digests so the cap covers all markets;
+ * a slot is taken for every push that actually goes out, whatever its type.
+ */
+function createPushLimiter({ maxPerMinute = 0 } = {}) {
+  const sentAt = [];
+
+  function prune(now) {
+    while (sentAt.length && now - sentAt[0] >= RATE_WINDOW_MS) sentAt.shift();
+  }
+
+  return {
+    maxPerMinute,
+    available(now) {
+      if (!maxPerMinute) return Infinity;
+      prune(now);
+      return Math.max(0, maxPerMinute - sentAt.length);
+    },
+    take(now) {
+      if (maxPerMinute) sentAt.push(now);
+    },
+    nextSlotAt(now) {
+      prune(now);
+      return sentAt.length ? sentAt[0] + RATE_WINDOW_MS : now;
+    },
+  };
+}
+
+/**
+ * Holds volume alerts for `windowMs` before delivering them. If more than
+ * `minSymbols` distinct symbols triggered in that window, or there is not
+ * enough push budget left for one push per alert, they are merged into a
+ * single digest listing the `topMovers` symbols by volume; otherwise each
+ * alert goes out on its own. With no budget at all, alerts stay pending
+ * until the limiter frees a slot. The digest only reads the budget: `send`
+ * and `sendDigest` take a slot when they push, so an instance that pushes
+ * nothing (a standby) leaves it untouched.
+ *
+ * Alerts are `{ symbol, volumeUsd, details, at }`, plus any fields `send`
+ * needs. `send(alert)` and `sendDigest(digest)` deliver them and are expected
+ * to handle their own failures. Without timers (replay), call poll(now) to flush on the
+ * simulated clock.
+ */
+function createAlertDigest({
+  send,
+  sendDigest,
+  log,
+  limiter = createPushLimiter(),
+  clock = Date.now,
+  timers = true,
+  windowMs = DEFAULT_WINDOW_MS,
+  minSymbols = DEFAULT_MIN_SYMBOLS,
+  topMovers = DEFAULT_TOP_MOVERS,
+}) {
+  let pending = [];
+  let flushAt;
+  let timer;
+  let stopped = false;
+
+  function schedule(at) {
+    if (flushAt !== undefined && flushAt <= at) return;
+    flushAt = at;
+    if (!timers) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      flush().catch((error) => log.error('digest.flush_failed', { error }));
+    }, Math.max(0, at - clock()));
+  }
+
+  function buildDigest(alerts) {
+    // One entry per symbol: its largest triggering window
+    const bySymbol = new Map();
+    for (const alert of alerts) {
+      const existing = bySymbol.get(alert.symbol);
+      if (!existing || alert.volumeUsd > existing.volumeUsd) bySymbol.set(alert.symbol, alert);
+    }
+    const ranked = Array.from(bySymbol.values()).sort((a, b) => b.volumeUsd - a.volumeUsd);
+
+    return {
+      symbolCount: ranked.length,
+      alertCount: alerts.length,
+      totalVolumeUsd: ranked.reduce((sum, alert) => sum + alert.volumeUsd, 0),
+      firstTriggeredAt: Math.min(...alerts.map((alert) => alert.at)),
+      lastTriggeredAt: Math.max(...alerts.map((alert) => alert.at)),
+      movers: ranked.slice(0, topMovers).map(({ symbol, volumeUsd, details }) => ({
+        symbol,
+        volumeUsd,
+        window: details.window,
+        windowMinutes: details.windowMinutes,
+        buyRatio: details.buyRatio,
+        trigger: details.trigger,
+        tier: details.tier,
+      })),
+      omitted: Math.max(0, ranked.length - topMovers),
+    };
+  }
+
+  async function flush({ force = false } = {}) {
+    clearTimeout(timer);
+    timer = undefined;
+    flushAt = undefined;
+    if (!pending.length) return;
+
+    const now = clock();
+    const alerts = pending;
+    pending = [];
+
+    let room = limiter.available(now);
+    if (!room) {
+      if (!force) {
+        // Out of budget: keep everything for one push once a slot frees up
+        pending = alerts.concat(pending);
+        const resumeAt = limiter.nextSlotAt(now);
+        log.warn('digest.rate_limited', { pending: pending.length, resumeInMs: resumeAt - now });
+        schedule(resumeAt);
+        return;
+      }
+      room = 1; // shutting down: deliver one last digest rather than lose the alerts
+    }
+
+    const symbols = new Set(alerts.map((alert) => alert.symbol)).size;
+    if (symbols > minSymbols || alerts.length > room) {
+      const digest = buildDigest(alerts);
+      log.debug('digest.merged', { symbols: digest.symbolCount, alerts: digest.alertCount });
+      await sendDigest(digest);
+      return;
+    }
+
+    for (const alert of alerts) {
+      await send(alert);
+    }
+  }
+
+  async function add(alert) {
+    if (stopped) return;
+    pending.push(alert);
+    if (!windowMs) {
+      await flush();
+      return;
+    }
+    schedule(flushAt ?? clock() + windowMs);
+  }
+
+  // Replay has no timers: flush whatever is due on the simulated clock
+  async function poll(now) {
+    if (flushAt !== undefined && now >= flushAt) await flush();
+  }
+
+  async function stop() {
+    stopped = true;
+    await flush({ force: true });
+  }
+
+  function getStatus() {
+    return { pending: pending.length, nextFlushAt: flushAt ?? null };
+  }
+
+  return { add, poll, flush, stop, getStatus };
+}
+
+module.exports = { createAlertDigest, createPushLimiter };
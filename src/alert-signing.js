@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+/** Alerts without a window are bucketed per minute for their ID. */
+const DEFAULT_ALERT_BUCKET_MS = 60_000;
+/** Requests signed longer ago than this (or this far in the future) are rejected. */
+const DEFAULT_SIGNATURE_TOLERANCE_MS = 5 * 60_000;
+
+const HEADERS = {
+  alertId: 'x-oruba-alert-id',
+  timestamp: 'x-oruba-timestamp',
+  signature: 'x-oruba-signature',
+};
+
+/**
+ * Deterministic ID for one alert: the same market, alert type, symbol,
+ * window and trigger bucket always give the same ID, so retries and a second
+ * worker instance produce duplicates the receiver can drop. Buckets are one
+ * cooldown long, so two alerts a cooldown apart never share one (jobs queued
+ * without a cooldown fall back to the window length, else one minute).
+ * Escalations carry their tier, since they legitimately follow the first
+ * alert within its cooldown, and are bucketed by when that cooldown started
+ * (`cooldownStartedAt`) so they keep its bucket past an edge. Digests are
+ * identified by their content: when the first merged alert fired and a hash
+ * of the movers.
+ *
+ * Bucket edges are fixed multiples of the bucket length and every instance
+ * fires on its own clock, so two instances that cross the threshold on
+ * either side of an edge, even milliseconds apart, produce different IDs.
+ * Receivers that must collapse those too can treat IDs that differ only in
+ * adjacent buckets as duplicates.
+ *
+ *   volume:spot:pepeusdt:5m:5973146  /  digest:futures:*:-:1717000000000:9f86d081884c
+ */
+function buildAlertId({ alert, market, symbol, at, cooldownMs, cooldownStartedAt, details = {} }) {
+  if (alert === 'digest') {
+    const movers = (details.movers || []).map((mover) => `${mover.symbol}@${mover.window}`).sort().join(',');
+    const hash = crypto.createHash('sha256').update(movers).digest('hex').slice(0, 12);
+    return [alert, market, '*', '-', details.firstTriggeredAt ?? at, hash].join(':');
+  }
+
+  let bucketMs = DEFAULT_ALERT_BUCKET_MS;
+  if (cooldownMs !== undefined) bucketMs = Math.max(cooldownMs, 1);
+  else if (details.window && details.windowMinutes > 0) bucketMs = details.windowMinutes * 60_000;
+  const parts = [alert, market, symbol || '*', details.window || '-', Math.floor((cooldownStartedAt ?? at) / bucketMs)];
+  if (details.escalation) parts.push(`x${details.tier}`);
+  return parts.join(':');
+}
+
+function computeSignature(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Headers for one signed request: the alert ID, the send time (ms) and,
+ * with a secret, `sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">`. The
+ * timestamp is signed too, so a captured request cannot be replayed later
+ * under a fresh one.
+ */
+function signAlertRequest({ body, alertId, secret, timestamp = Date.now() }) {
+  const headers = {
+    'X-Oruba-Alert-Id': alertId,
+    'X-Oruba-Timestamp': String(timestamp),
+  };
+  if (secret) headers['X-Oruba-Signature'] = computeSignature(secret, String(timestamp), body);
+  return headers;
+}
+
+/**
+ * Receiver-side check of a signed request, with no dependencies beyond
+ * node:crypto so the backend can reuse it as is. `body` must be the raw
+ * request body (the exact string that was signed), `headers` the incoming
+ * headers in any case. The alert ID is taken from the signed body and must
+ * match the header, which is not signed itself. Returns
+ * `{ ok: true, alertId, timestamp }` or `{ ok: false, reason }`.
+ * Deduplicating by alertId is up to the caller.
+ */
+function verifyAlertRequest({ body, headers, secret, toleranceMs = DEFAULT_SIGNATURE_TOLERANCE_MS, now = Date.now() }) {
+  const get = (name) => {
+    const key = Object.keys(headers || {}).find((header) => header.toLowerCase() === name);
+    const value = key === undefined ? undefined : headers[key];
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  if (!secret) return { ok: false, reason: 'no signing secret configured' };
+
+  const timestamp = get(HEADERS.timestamp);
+  const signature = get(HEADERS.signature);
+  if (!timestamp || !signature) return { ok: false, reason: 'missing signature headers' };
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt)) return { ok: false, reason: 'invalid timestamp' };
+  if (Math.abs(now - sentAt) > toleranceMs) return { ok: false, reason: 'timestamp outside tolerance' };
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, String(body)));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, reason: 'signature mismatch' };
+  }
+
+  let alertId;
+  try {
+    alertId = JSON.parse(String(body))?.alertId;
+  } catch (error) {
+    return { ok: false, reason: 'invalid body' };
+  }
+  if (!alertId || alertId !== get(HEADERS.alertId)) return { ok: false, reason: 'alert ID mismatch' };
+
+  return { ok: true, alertId, timestamp: sentAt };
+}
+
+module.exports = { buildAlertId, signAlertRequest, verifyAlertRequest };
@@ -0,0 +1,149 @@
+const { evaluateBaseline } = require('./baseline');
+
+/**
+ * Alert modes: 'absolute' compares against the USD threshold, 'baseline'
+ * against the symbol's own trailing history, 'either' / 'both' combine them.
+ */
+const ALERT_MODES = ['absolute', 'baseline', 'either', 'both'];
+/** After an alert, a window re-arms once it falls below this % of its alert line (0 = cooldown only). */
+const DEFAULT_ALERT_REARM_PCT = 80;
+/** Alert line multiples that send a follow-up alert while a window is cooling down or not yet re-armed. */
+const DEFAULT_ESCALATION_TIERS = [2, 5, 10];
+/** Flow imbalance alerts ignore windows with less total volume than this. */
+const DEFAULT_FLOW_MIN_VOLUME_USD = 100_000;
+
+/** `2,5,10` -> [2, 5, 10]; `off` or `none` disables escalation. */
+function parseEscalationTiers(raw) {
+  if (/^(off|none)$/i.test(String(raw).trim())) return [];
+  const tiers = String(raw).split(',').map((item) => Number(item.trim()));
+  if (tiers.some((tier) => !Number.isFinite(tier) || tier <= 1)) {
+    throw new Error('expected threshold multiples above 1, e.g. 2,5,10 (or off)');
+  }
+  return Array.from(new Set(tiers)).sort((a, b) => a - b);
+}
+
+/** Highest threshold multiple reached: 1 for a plain crossing, else one of `tiers`. */
+function getAlertTier(sum, thresholdUsd, tiers = DEFAULT_ESCALATION_TIERS) {
+  let tier = 1;
+  for (const multiple of tiers) {
+    if (sum >= thresholdUsd * multiple) tier = multiple;
+  }
+  return tier;
+}
+
+function parseAlertMode(raw) {
+  const mode = raw ? String(raw).trim().toLowerCase() : undefined;
+  return ALERT_MODES.includes(mode) ? mode : undefined;
+}
+
+/**
+ * Decides whether a window sum should alert under `mode`. `stats` are the
+ * window's baseline stats (undefined before any history). Returns undefined
+ * when it should not, otherwise the payload fields that describe why it fired.
+ */
+function evaluateTrigger(sum, thresholdUsd, stats, { mode, multiplier, zScore, minSamples }) {
+  const absolute = sum >= thresholdUsd;
+  if (mode === 'absolute') {
+    return absolute ? { trigger: 'absolute' } : undefined;
+  }
+
+  const result = stats ? evaluateBaseline(sum, stats, { multiplier, zScore, minSamples }) : undefined;
+  const relative = Boolean(result && result.spike);
+
+  let fired;
+  if (mode === 'baseline') fired = relative;
+  else if (mode === 'both') fired = absolute && relative;
+  else fired = absolute || relative;
+  if (!fired) return undefined;
+
+  return {
+    trigger: relative ? 'baseline' : 'absolute',
+    baselineMultiple: result ? result.multiple : null,
+    baselineZScore: result ? result.zScore : null,
+  };
+}
+
+/**
+ * How far past its alert line a window is, as a multiple of that line: the
+ * USD threshold in absolute mode, the baseline multiplier in baseline mode,
+ * the higher of the two for 'either' and the lower for 'both'. Re-arm and
+ * tiers are measured on it so they follow the condition that fired. Undefined
+ * while the baseline it needs is warming up.
+ */
+function getAlertLevel(sum, thresholdUsd, stats, { mode, multiplier, zScore, minSamples }) {
+  const absolute = sum / thresholdUsd;
+  if (mode === 'absolute') return absolute;
+
+  const result = stats ? evaluateBaseline(sum, stats, { multiplier, zScore, minSamples }) : undefined;
+  const relative = result && result.multiple !== null ? result.multiple / multiplier : undefined;
+  if (mode === 'baseline') return relative;
+  if (relative === undefined) return mode === 'both' ? undefined : absolute;
+  return mode === 'both' ? Math.min(absolute, relative) : Math.max(absolute, relative);
+}
+
+/**
+ * Alert decision for one window of one symbol at `now`. `lastAlertAt` starts
+ * its cooldown (the last regular alert) and `lastTier` is the tier of its last
+ * alert, kept until the window re-arms. `options` are the trigger settings
+ * (mode, multiplier, zScore, minSamples) plus rearmRatio and escalationTiers.
+ *
+ * Returns `{ rearmed, alert }`: `rearmed` once the last episode is over and
+ * its tier can be forgotten; `alert` is undefined to stay quiet, else the
+ * trigger fields plus tier, escalation and previousTier.
+ */
+function evaluateWindowAlert({ sum, thresholdUsd, cooldownMs, now, lastAlertAt, lastTier, stats }, options) {
+  const { rearmRatio, escalationTiers } = options;
+  const level = getAlertLevel(sum, thresholdUsd, stats, options);
+
+  // Re-arm: the episode is over once the level falls back below rearmRatio
+  const rearmed = Boolean(lastTier && rearmRatio && level !== undefined && level < rearmRatio);
+  const episodeTier = rearmed ? undefined : lastTier;
+
+  const trigger = evaluateTrigger(sum, thresholdUsd, stats, options);
+  if (!trigger) return { rearmed };
+
+  // Armed once the cooldown since the last regular alert is over and, with
+  // re-arm on, the window has fallen back since the last alert
+  const coolingDown = Boolean(lastAlertAt) && now - lastAlertAt < cooldownMs;
+  const armed = !coolingDown && (!rearmRatio || !episodeTier);
+  const tier = level === undefined ? 1 : getAlertTier(level, 1, escalationTiers);
+  if (armed) return { rearmed, alert: { ...trigger, tier, escalation: false } };
+
+  // Cooling down or not re-armed: only a higher tier than the last alert gets through
+  if (!episodeTier || tier <= episodeTier) return { rearmed };
+  return { rearmed, alert: { ...trigger, tier, escalation: true, previousTier: episodeTier } };
+}
+
+/**
+ * Returns 'buy' / 'sell' when the window's taker flow crosses the configured
+ * imbalance limits, otherwise undefined. Both limits are optional.
+ */
+function detectFlowImbalance(flow, flowAlerts) {
+  const { netFlowThresholdUsd, buyRatioThreshold, minVolumeUsd } = flowAlerts;
+  const total = flow.buyVolumeUsd + flow.sellVolumeUsd;
+  if (!total || total < minVolumeUsd) return undefined;
+
+  if (netFlowThresholdUsd && Math.abs(flow.netFlowUsd) >= netFlowThresholdUsd) {
+    return flow.netFlowUsd > 0 ? 'buy' : 'sell';
+  }
+
+  if (buyRatioThreshold) {
+    if (flow.buyRatio >= buyRatioThreshold) return 'buy';
+    if (1 - flow.buyRatio >= buyRatioThreshold) return 'sell';
+  }
+
+  return undefined;
+}
+
+module.exports = {
+  ALERT_MODES,
+  DEFAULT_ALERT_REARM_PCT,
+  DEFAULT_ESCALATION_TIERS,
+  DEFAULT_FLOW_MIN_VOLUME_USD,
+  parseEscalationTiers,
+  parseAlertMode,
+  getAlertTier,
+  evaluateTrigger,
+  evaluateWindowAlert,
+  detectFlowImbalance,
+};
@@ -0,0 +1,72 @@
+/** Baseline mode alerts when a window is this many times the symbol's median. */
+const DEFAULT_BASELINE_MULTIPLIER = 3;
+/** Trailing history used for the baseline: 24h of window-sized samples. */
+const DEFAULT_BASELINE_HISTORY_MS = 24 * 60 * 60_000;
+/** Warm-up: baseline alerts stay silent until this many samples exist. */
+const DEFAULT_BASELINE_MIN_SAMPLES = 16;
+
+/**
+ * Trailing history of completed window sums for one symbol. Stats are
+ * recomputed only when a sample is pushed, so reads from handleTrade are O(1).
+ */
+function createBaselineHistory(maxSamples) {
+  const samples = [];
+  let stats = { count: 0, median: 0, mean: 0, stdDev: 0 };
+
+  function push(value) {
+    samples.push(value);
+    if (samples.length > maxSamples) samples.shift();
+    recompute();
+  }
+
+  function restore(values) {
+    if (!Array.isArray(values)) return;
+    samples.splice(0, samples.length, ...values.filter(Number.isFinite).slice(-maxSamples));
+    if (samples.length) recompute();
+  }
+
+  function recompute() {
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    const mean = samples.reduce((acc, v) => acc + v, 0) / samples.length;
+    const variance = samples.reduce((acc, v) => acc + (v - mean) ** 2, 0) / samples.length;
+
+    stats = { count: samples.length, median, mean, stdDev: Math.sqrt(variance) };
+  }
+
+  function getStats() {
+    return stats;
+  }
+
+  function getSamples() {
+    return samples.slice();
+  }
+
+  return { push, restore, getStats, getSamples };
+}
+
+/**
+ * Compares a window sum against the symbol's baseline. Returns undefined while
+ * warming up, otherwise whether it is a spike plus the multiple / z-score seen.
+ */
+function evaluateBaseline(sum, stats, { multiplier, zScore, minSamples }) {
+  if (stats.count < minSamples) return undefined;
+
+  const multiple = stats.median > 0 ? sum / stats.median : null;
+  const z = stats.stdDev > 0 ? (sum - stats.mean) / stats.stdDev : null;
+
+  const spike =
+    (multiple !== null && multiple >= multiplier) ||
+    (Boolean(zScore) && z !== null && z >= zScore);
+
+  return { spike, multiple, zScore: z };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_MULTIPLIER,
+  DEFAULT_BASELINE_HISTORY_MS,
+  DEFAULT_BASELINE_MIN_SAMPLES,
+  createBaselineHistory,
+  evaluateBaseline,
+};
@@ -0,0 +1,150 @@
+const DURATION_UNITS = { ms: 1, s: 1_000, m: 60_000, h: 60 * 60_000, d: 24 * 60 * 60_000 };
+const AMOUNT_UNITS = { k: 1_000, m: 1_000_000, b: 1_000_000_000 };
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/** Parses `900000`, `30s`, `15m`, `1h` ... into milliseconds (NaN if invalid). */
+function parseDuration(raw) {
+  if (typeof raw === 'number') return raw;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/i.exec(String(raw ?? ''));
+  if (!match) return NaN;
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()];
+}
+
+/** Parses `400000`, `400_000`, `400k`, `1.5m` ... into a number (NaN if invalid). */
+function parseAmount(raw) {
+  if (typeof raw === 'number') return raw;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([kmb])?\s*$/i.exec(String(raw ?? '').replace(/_/g, ''));
+  if (!match) return NaN;
+  return Number(match[1]) * (match[2] ? AMOUNT_UNITS[match[2].toLowerCase()] : 1);
+}
+
+/** Parses `1048576`, `512kb`, `256mb`, `5gb` into bytes (NaN if invalid). */
+function parseBytes(raw) {
+  if (typeof raw === 'number') return raw;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(raw ?? ''));
+  if (!match) return NaN;
+  return Math.round(Number(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function requireFinite(value, expected) {
+  if (!Number.isFinite(value)) throw new Error(`expected ${expected}`);
+  return value;
+}
+
+/** Each parser turns a trimmed env string into a value or throws with a short reason. */
+const TYPE_PARSERS = {
+  string: (raw) => raw,
+  url: (raw) => {
+    try {
+      new URL(raw);
+    } catch (error) {
+      throw new Error('expected an absolute URL');
+    }
+    return raw;
+  },
+  integer: (raw) => {
+    const value = Number(raw);
+    if (!Number.isInteger(value)) throw new Error('expected an integer');
+    return value;
+  },
+  number: (raw) => requireFinite(Number(raw), 'a number'),
+  amount: (raw) => requireFinite(parseAmount(raw), 'an amount like 400000 or 400k'),
+  duration: (raw) => requireFinite(parseDuration(raw), 'a duration like 900000, 30s, 15m or 1h'),
+  bytes: (raw) => requireFinite(parseBytes(raw), 'a size like 1048576, 512kb, 256mb or 5gb'),
+  boolean: (raw) => {
+    const normalized = raw.toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+    if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+    throw new Error('expected true or false');
+  },
+};
+
+function parseEntry(spec, raw) {
+  if (spec.values) {
+    const value = raw.toLowerCase();
+    if (!spec.values.includes(value)) throw new Error(`expected one of ${spec.values.join(', ')}`);
+    return value;
+  }
+
+  const parser = spec.parse || TYPE_PARSERS[spec.type || 'string'];
+  const value = parser(raw);
+  const unit = { duration: 'ms', bytes: ' bytes' }[spec.type] || '';
+  if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}${unit}`);
+  if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}${unit}`);
+  return value;
+}
+
+/**
+ * Reads every entry of `schema` from `env` and validates it.
+ *
+ * Schema entries look like `{ env, type, min, max, values, parse, required,
+ * secret, default }`; `default` may be a function of the other resolved
+ * values. All problems are collected and thrown together as one Error whose
+ * `errors` property lists them. Returns `{ values, sources }` where each
+ * source is 'env' or 'default'.
+ */
+function loadConfig(schema, env = process.env) {
+  const values = {};
+  const sources = {};
+  const problems = [];
+  const derived = [];
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const raw = env[spec.env] === undefined ? '' : String(env[spec.env]).trim();
+
+    if (raw === '') {
+      if (spec.required) problems.push(`${spec.env} is required`);
+      sources[key] = 'default';
+      if (typeof spec.default === 'function') derived.push(key);
+      else values[key] = spec.default;
+      continue;
+    }
+
+    try {
+      values[key] = parseEntry(spec, raw);
+      sources[key] = 'env';
+    } catch (error) {
+      const shown = spec.secret ? '[redacted]' : JSON.stringify(raw);
+      problems.push(`${spec.env}=${shown}: ${error.message}`);
+    }
+  }
+
+  if (problems.length) {
+    const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    error.errors = problems;
+    throw error;
+  }
+
+  // Defaults that depend on other values, e.g. a directory falling back to another one
+  for (const key of derived) {
+    values[key] = schema[key].default(values);
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Effective configuration for display: `{ key: { env, value, source } }`
+ * with secrets replaced by '[redacted]' (or null when unset).
+ */
+function describeConfig(schema, { values, sources }) {
+  const view = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = values[key];
+    view[key] = {
+      env: spec.env,
+      value: spec.secret ? (value ? '[redacted]' : null) : value ?? null,
+      source: sources[key],
+    };
+  }
+  return view;
+}
+
+module.exports = {
+  DURATION_UNITS,
+  parseDuration,
+  parseAmount,
+  parseBytes,
+  loadConfig,
+  describeConfig,
+};
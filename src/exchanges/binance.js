@@ -0,0 +1,131 @@
+const WS_URLS = {
+  spot: 'wss://stream.binance.com:9443',
+  futures: 'wss://fstream.binance.com',
+};
+
+/** Market-wide futures streams for liquidations and mark price / funding rate. */
+const DERIVATIVE_STREAMS = ['!forceOrder@arr', '!markPrice@arr@1s'];
+
+// Market-wide stream names (`!...`) are used as they are
+function streamName(symbol) {
+  return symbol.startsWith('!') ? symbol : `${symbol}@trade`;
+}
+
+/**
+ * Parses one trade event, bare or wrapped by a combined stream:
+ *   {"stream":"btcusdt@trade","data":{"e":"trade","s":"BTCUSDT","p":"64000.1","q":"0.02","T":1717000000000,"m":true,"t":1}}
+ * Futures aggTrade events carry `a` instead of `t`.
+ */
+function parseTrade(data) {
+  const symbol = data.s ? String(data.s).toLowerCase() : undefined;
+  const tradeTime = Number(data.T ?? data.E ?? Date.now());
+  const price = Number(data.p);
+  const qty = Number(data.q);
+
+  if (!symbol || !Number.isFinite(price) || !Number.isFinite(qty)) {
+    return undefined;
+  }
+
+  const quoteAmount = price * qty; // in the quote asset; the worker converts it to USD
+  if (!Number.isFinite(quoteAmount)) {
+    return undefined;
+  }
+
+  // m = buyer is maker, i.e. the aggressor (taker) was the seller
+  const side = data.m ? 'sell' : 'buy';
+
+  return { symbol, tradeTime, price, qty, quoteAmount, side, tradeId: data.t ?? data.a };
+}
+
+/**
+ * Futures liquidation or mark price update:
+ *   {"e":"forceOrder","E":1717000000000,"o":{"s":"BTCUSDT","S":"SELL","q":"0.5","p":"63900","ap":"63950","z":"0.5","T":1717000000000}}
+ *   {"e":"markPriceUpdate","E":1717000000000,"s":"BTCUSDT","p":"64000.1","i":"63990.2","r":"0.00010000","T":1717027200000}
+ */
+function parseDerivativeEvent(data) {
+  if (data.e === 'forceOrder' && data.o) {
+    const order = data.o;
+    const price = Number(order.ap) || Number(order.p);
+    const qty = Number(order.z) || Number(order.q);
+    const quoteAmount = price * qty;
+    if (!order.s || !Number.isFinite(quoteAmount)) return undefined;
+    return {
+      type: 'liquidation',
+      symbol: String(order.s).toLowerCase(),
+      side: order.S === 'SELL' ? 'sell' : 'buy',
+      price,
+      qty,
+      quoteAmount,
+      time: Number(order.T ?? data.E) || Date.now(),
+    };
+  }
+
+  if (data.e === 'markPriceUpdate') {
+    const markPrice = Number(data.p);
+    if (!data.s || !Number.isFinite(markPrice)) return undefined;
+    return {
+      type: 'mark_price',
+      symbol: String(data.s).toLowerCase(),
+      markPrice,
+      indexPrice: Number(data.i),
+      fundingRate: data.r === undefined || data.r === '' ? NaN : Number(data.r),
+      nextFundingTime: Number(data.T) || null,
+      time: Number(data.E) || Date.now(),
+    };
+  }
+
+  return undefined;
+}
+
+/**
+ * Binance spot / USD-M futures. Streams are part of the connection URL, so
+ * nothing is sent on open; later changes use SUBSCRIBE / UNSUBSCRIBE, answered
+ * with {"result":null,"id":1} or {"error":{...},"id":1}. Heartbeats are
+ * WebSocket ping frames. Futures also offer `derivativeStreams`, which
+ * parse into `{ events }` (liquidations and mark price updates).
+ */
+function createBinanceAdapter(market = 'spot') {
+  return {
+    exchange: 'binance',
+    market,
+    subscribeOnOpen: false,
+    maxSymbolsPerRequest: Infinity,
+    derivativeStreams: market === 'futures' ? DERIVATIVE_STREAMS : undefined,
+
+    buildUrl(symbols, customUrl) {
+      const base = customUrl || WS_URLS[market];
+      if (!symbols.length) return undefined;
+      if (symbols.length === 1) return `${base}/ws/${streamName(symbols[0])}`;
+      return `${base}/stream?streams=${symbols.map(streamName).join('/')}`;
+    },
+
+    buildRequest(method, symbols, id) {
+      return JSON.stringify({ method: method.toUpperCase(), params: symbols.map(streamName), id });
+    },
+
+    parseMessage(message) {
+      let payload;
+      try {
+        payload = JSON.parse(message.toString());
+      } catch (error) {
+        return undefined;
+      }
+
+      if (payload.id !== undefined && (payload.result !== undefined || payload.error)) {
+        const error = payload.error ? `${payload.error.code}: ${payload.error.msg}` : undefined;
+        return { reply: { id: payload.id, error } };
+      }
+
+      const data = payload.data || payload;
+      if (Array.isArray(data) || data.e === 'forceOrder' || data.e === 'markPriceUpdate') {
+        const events = (Array.isArray(data) ? data : [data]).map(parseDerivativeEvent).filter(Boolean);
+        return events.length ? { events } : undefined;
+      }
+
+      const trade = parseTrade(data);
+      return trade ? { trades: [trade] } : undefined;
+    },
+  };
+}
+
+module.exports = { createBinanceAdapter, parseTrade, parseDerivativeEvent };
@@ -0,0 +1,91 @@
+const WS_URLS = {
+  spot: 'wss://stream.bybit.com/v5/public/spot',
+  futures: 'wss://stream.bybit.com/v5/public/linear',
+};
+/** Bybit closes connections without an application ping for 20s+. */
+const HEARTBEAT_MS = 20_000;
+
+function topic(symbol) {
+  return `publicTrade.${symbol.toUpperCase()}`;
+}
+
+// Symbols named in a rejection, e.g. "Invalid symbol :[publicTrade.XYZUSDT]"
+function rejectedSymbols(message) {
+  return Array.from(String(message).matchAll(/publicTrade\.([A-Z0-9]+)/gi), (match) => match[1].toLowerCase());
+}
+
+/**
+ * One entry of a publicTrade push; S is the taker side:
+ *   {"topic":"publicTrade.BTCUSDT","type":"snapshot","ts":1717000000000,
+ *    "data":[{"T":1717000000000,"s":"BTCUSDT","S":"Buy","v":"0.02","p":"64000.1","i":"2290000000000000001","BT":false}]}
+ */
+function parseTrade(data) {
+  const symbol = data.s ? String(data.s).toLowerCase() : undefined;
+  const price = Number(data.p);
+  const qty = Number(data.v);
+  const quoteAmount = price * qty;
+  if (!symbol || !Number.isFinite(quoteAmount)) return undefined;
+
+  return {
+    symbol,
+    tradeTime: Number(data.T) || Date.now(),
+    price,
+    qty,
+    quoteAmount,
+    side: data.S === 'Sell' ? 'sell' : 'buy',
+    tradeId: data.i,
+  };
+}
+
+/**
+ * Bybit v5 spot / linear (USDT perpetual). Connections open empty and
+ * subscribe with {"op":"subscribe","args":[...],"req_id":"1"}, at most 10
+ * topics per request on spot. Replies echo `req_id` with `success`; a
+ * rejection names the topics it refused, e.g.
+ *   {"success":false,"ret_msg":"Invalid symbol :[publicTrade.XYZUSDT]","op":"subscribe","req_id":"3"}
+ * Topics already subscribed count as success. The heartbeat is {"op":"ping"}.
+ */
+function createBybitAdapter(market = 'spot') {
+  return {
+    exchange: 'bybit',
+    market,
+    subscribeOnOpen: true,
+    maxSymbolsPerRequest: 10,
+    heartbeatMs: HEARTBEAT_MS,
+
+    buildUrl(symbols, customUrl) {
+      return customUrl || WS_URLS[market];
+    },
+
+    buildRequest(method, symbols, id) {
+      return JSON.stringify({ op: method, args: symbols.map(topic), req_id: String(id) });
+    },
+
+    ping() {
+      return JSON.stringify({ op: 'ping' });
+    },
+
+    parseMessage(message) {
+      let payload;
+      try {
+        payload = JSON.parse(message.toString());
+      } catch (error) {
+        return undefined;
+      }
+
+      if (payload.op === 'ping' || payload.op === 'pong') return { pong: true };
+      if (payload.op === 'subscribe' || payload.op === 'unsubscribe') {
+        const message = payload.ret_msg || 'subscription rejected';
+        if (payload.success || /already subscribed/i.test(message)) return { reply: { id: Number(payload.req_id) } };
+        return { reply: { id: Number(payload.req_id), error: message, symbols: rejectedSymbols(message) } };
+      }
+
+      if (!String(payload.topic || '').startsWith('publicTrade.') || !Array.isArray(payload.data)) {
+        return undefined;
+      }
+      return { trades: payload.data.map(parseTrade).filter(Boolean) };
+    },
+  };
+}
+
+module.exports = { createBybitAdapter, parseTrade };
@@ -0,0 +1,41 @@
+const { createBinanceAdapter } = require('./binance');
+const { createBybitAdapter } = require('./bybit');
+const { createOkxAdapter } = require('./okx');
+
+/**
+ * Exchange adapters translate between the worker and one exchange's public
+ * trade WebSocket. Each is `{ exchange, market, ... }` with:
+ *
+ *   buildUrl(symbols, customUrl)       connection URL for a shard
+ *   subscribeOnOpen                    true: send subscribe requests once open
+ *   buildRequest(method, symbols, id)  'subscribe' / 'unsubscribe' frame
+ *   maxSymbolsPerRequest               larger requests are split
+ *   parseMessage(message)              { trades: [trade] } | { reply: { id, error, symbols } }
+ *                                      | { events: [event] } | { pong: true } | {} (ignored)
+ *                                      | undefined (unparseable)
+ *   ping(), heartbeatMs                optional application-level heartbeat;
+ *                                      without them WebSocket ping frames are used
+ *   prepare()                          optional async setup before (re)subscribing
+ *   derivativeStreams                  optional futures streams whose messages parse into
+ *                                      { events: [liquidation | mark_price] } (see futures-signals)
+ *
+ * Trades are normalized to `{ symbol, tradeTime, price, qty, quoteAmount,
+ * side, tradeId }` with `symbol` like `btcusdt` whatever the exchange's own
+ * naming, and `side` the taker side. A rejected request's reply lists the
+ * symbols the exchange named as unknown, when it names any. parseMessage() is
+ * pure, so adapters can be checked against recorded raw messages.
+ */
+const ADAPTERS = {
+  binance: createBinanceAdapter,
+  bybit: createBybitAdapter,
+  okx: createOkxAdapter,
+};
+const EXCHANGES = Object.keys(ADAPTERS);
+
+function createExchangeAdapter(exchange, market, options) {
+  const create = ADAPTERS[exchange];
+  if (!create) throw new Error(`Unknown exchange "${exchange}" (expected ${EXCHANGES.join(', ')})`);
+  return create(market, options);
+}
+
+module.exports = { EXCHANGES, createExchangeAdapter };
@@ -0,0 +1,119 @@
+const fetch = require('cross-fetch');
+const { splitSymbol } = require('../usd-rates');
+
+const WS_URL = 'wss://ws.okx.com:8443/ws/v5/public';
+const REST_URL = 'https://www.okx.com';
+/** OKX drops connections that stay silent for 30s; it expects a plain "ping". */
+const HEARTBEAT_MS = 20_000;
+
+/** btcusdt -> BTC-USDT (spot) or BTC-USDT-SWAP (perpetual). */
+function toInstId(symbol, market) {
+  const parts = splitSymbol(symbol);
+  if (!parts) return symbol.toUpperCase();
+  const instId = `${parts.base}-${parts.quote}`.toUpperCase();
+  return market === 'futures' ? `${instId}-SWAP` : instId;
+}
+
+/** BTC-USDT-SWAP -> btcusdt */
+function fromInstId(instId) {
+  return String(instId).replace(/-SWAP$/, '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * One entry of a trades push; `side` is the taker side and swap sizes are in
+ * contracts (multiplied by the instrument's ctVal):
+ *   {"arg":{"channel":"trades","instId":"BTC-USDT"},
+ *    "data":[{"instId":"BTC-USDT","tradeId":"130639474","px":"64000.1","sz":"0.02","side":"buy","ts":"1717000000000"}]}
+ */
+function parseTrade(data, contractValues) {
+  const price = Number(data.px);
+  let qty = Number(data.sz);
+  if (contractValues) {
+    const ctVal = contractValues.get(data.instId);
+    if (!ctVal) return undefined; // unknown contract size: the USD amount would be wrong
+    qty *= ctVal;
+  }
+  const quoteAmount = price * qty;
+  if (!data.instId || !Number.isFinite(quoteAmount)) return undefined;
+
+  return {
+    symbol: fromInstId(data.instId),
+    tradeTime: Number(data.ts) || Date.now(),
+    price,
+    qty,
+    quoteAmount,
+    side: data.side === 'sell' ? 'sell' : 'buy',
+    tradeId: data.tradeId,
+  };
+}
+
+/**
+ * OKX v5 spot / USDT-margined perpetual swaps. Connections open empty and
+ * subscribe with {"id":"1","op":"subscribe","args":[{"channel":"trades","instId":"BTC-USDT"}]};
+ * replies carry the same id with `event` subscribe or error, the latter naming
+ * the instrument ("... instId:XYZ-USDT doesn't exist."). Swap trades need
+ * contract sizes, which prepare() loads from the public instruments endpoint.
+ */
+function createOkxAdapter(market = 'spot', { restUrl = REST_URL } = {}) {
+  const contractValues = market === 'futures' ? new Map() : undefined; // instId -> ctVal
+
+  return {
+    exchange: 'okx',
+    market,
+    subscribeOnOpen: true,
+    maxSymbolsPerRequest: 100,
+    heartbeatMs: HEARTBEAT_MS,
+
+    buildUrl(symbols, customUrl) {
+      return customUrl || WS_URL;
+    },
+
+    buildRequest(method, symbols, id) {
+      const args = symbols.map((symbol) => ({ channel: 'trades', instId: toInstId(symbol, market) }));
+      return JSON.stringify({ id: String(id), op: method, args });
+    },
+
+    ping() {
+      return 'ping';
+    },
+
+    async prepare() {
+      if (!contractValues) return;
+      const response = await fetch(`${restUrl}/api/v5/public/instruments?instType=SWAP`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch OKX instruments (${response.status} ${response.statusText})`);
+      }
+      const payload = await response.json();
+      for (const instrument of payload.data || []) {
+        const ctVal = Number(instrument.ctVal);
+        if (instrument.ctType === 'linear' && ctVal > 0) contractValues.set(instrument.instId, ctVal);
+      }
+    },
+
+    parseMessage(message) {
+      const text = message.toString();
+      if (text === 'pong') return { pong: true };
+
+      let payload;
+      try {
+        payload = JSON.parse(text);
+      } catch (error) {
+        return undefined;
+      }
+
+      if (payload.event) {
+        if (payload.id === undefined) return {};
+        if (payload.event !== 'error') return { reply: { id: Number(payload.id) } };
+        const symbols = Array.from(String(payload.msg).matchAll(/instId:([A-Za-z0-9-]+)/g), (match) => fromInstId(match[1]));
+        return { reply: { id: Number(payload.id), error: `${payload.code}: ${payload.msg}`, symbols } };
+      }
+
+      if (!payload.arg || payload.arg.channel !== 'trades' || !Array.isArray(payload.data)) {
+        return undefined;
+      }
+      return { trades: payload.data.map((data) => parseTrade(data, contractValues)).filter(Boolean) };
+    },
+  };
+}
+
+module.exports = { createOkxAdapter, parseTrade, toInstId, fromInstId };
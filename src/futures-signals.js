@@ -0,0 +1,228 @@
+const DEFAULT_LIQUIDATION_WINDOW_MS = 5 * 60_000;
+const DEFAULT_LIQUIDATION_COOLDOWN_MS = 15 * 60_000;
+const DEFAULT_FUNDING_COOLDOWN_MS = 60 * 60_000;
+const DEFAULT_OPEN_INTEREST_POLL_MS = 5 * 60_000;
+const DEFAULT_OPEN_INTEREST_WINDOW_MS = 60 * 60_000;
+const DEFAULT_OPEN_INTEREST_COOLDOWN_MS = 60 * 60_000;
+
+/**
+ * Futures-only alert types on top of trade volume:
+ *
+ * - liquidation: forced orders of one symbol summing to `thresholdUsd` within
+ *   `windowMs` (a SELL liquidation closes a long).
+ * - funding: a mark price update whose funding rate is at least
+ *   `thresholdPct` percent either way.
+ * - open_interest: open interest, polled every `pollMs`, moving by at least
+ *   `jumpPct` percent against the oldest sample within `windowMs`.
+ *
+ * Each type is off unless its threshold is set and has its own per-symbol
+ * cooldown. Events come from handleEvents() (normalized by the exchange
+ * adapter); alerts go to `send(alert, symbol, details, at, cooldownMs)`.
+ */
+function createFuturesSignals({
+  log,
+  send,
+  createWindow, // (windowMs) => flow window, see createFlowWindow
+  isTracked, // (symbol) => false for untracked, disabled or muted symbols
+  getSymbols, // () => symbols to poll open interest for
+  fetchOpenInterest, // async (symbol) => open interest in contracts
+  toUsd = (symbol, amount) => amount,
+  clock = Date.now,
+  timers = true,
+  liquidation = {},
+  funding = {},
+  openInterest = {},
+}) {
+  const liquidationWindowMs = liquidation.windowMs || DEFAULT_LIQUIDATION_WINDOW_MS;
+  const liquidationCooldownMs = liquidation.cooldownMs ?? DEFAULT_LIQUIDATION_COOLDOWN_MS;
+  const fundingCooldownMs = funding.cooldownMs ?? DEFAULT_FUNDING_COOLDOWN_MS;
+  const openInterestPollMs = openInterest.pollMs || DEFAULT_OPEN_INTEREST_POLL_MS;
+  const openInterestWindowMs = openInterest.windowMs || DEFAULT_OPEN_INTEREST_WINDOW_MS;
+  const openInterestCooldownMs = openInterest.cooldownMs ?? DEFAULT_OPEN_INTEREST_COOLDOWN_MS;
+
+  const enabled = {
+    liquidation: liquidation.thresholdUsd > 0,
+    funding: funding.thresholdPct > 0,
+    open_interest: openInterest.jumpPct > 0 && Boolean(fetchOpenInterest),
+  };
+
+  /**
+   * symbol -> {
+   *   liquidations: flow window of liquidated USD,
+   *   markPrice, fundingRate, nextFundingTime,
+   *   openInterest: [{ at, contracts }] samples within the window,
+   *   lastAlertAt: { [alert]: timestamp },
+   * }
+   */
+  const symbols = new Map();
+  let pollTimer;
+  let stopped = false;
+  let lastPollAt = null;
+
+  function getState(symbol) {
+    let state = symbols.get(symbol);
+    if (!state) {
+      state = {
+        liquidations: undefined,
+        markPrice: null,
+        fundingRate: null,
+        nextFundingTime: null,
+        openInterest: [],
+        lastAlertAt: {},
+      };
+      symbols.set(symbol, state);
+    }
+    return state;
+  }
+
+  // Claims the alert slot (cooldown starts now) or returns false while cooling down
+  function claim(state, alert, cooldownMs, now) {
+    const last = state.lastAlertAt[alert];
+    if (last && now - last < cooldownMs) return false;
+    state.lastAlertAt[alert] = now;
+    return true;
+  }
+
+  async function handleLiquidation(event, now) {
+    const usd = toUsd(event.symbol, event.quoteAmount);
+    if (usd === undefined) return;
+
+    const state = getState(event.symbol);
+    if (!state.liquidations) state.liquidations = createWindow(liquidationWindowMs);
+    state.liquidations.add(event.time || now, usd, event.side);
+    state.liquidations.prune(now);
+
+    const flow = state.liquidations.getFlow();
+    const liquidatedUsd = flow.buyVolumeUsd + flow.sellVolumeUsd;
+    if (liquidatedUsd < liquidation.thresholdUsd) return;
+    if (!claim(state, 'liquidation', liquidationCooldownMs, now)) return;
+
+    await send('liquidation', event.symbol, {
+      window: `${liquidationWindowMs / 60_000}m`,
+      windowMinutes: liquidationWindowMs / 60_000,
+      liquidatedUsd,
+      longsLiquidatedUsd: flow.sellVolumeUsd,
+      shortsLiquidatedUsd: flow.buyVolumeUsd,
+      thresholdUsd: liquidation.thresholdUsd,
+      lastPrice: event.price,
+    }, now, liquidationCooldownMs);
+  }
+
+  async function handleMarkPrice(event, now) {
+    const state = getState(event.symbol);
+    state.markPrice = event.markPrice;
+    state.fundingRate = event.fundingRate;
+    state.nextFundingTime = event.nextFundingTime;
+
+    if (!enabled.funding || !Number.isFinite(event.fundingRate)) return;
+    const fundingRatePct = event.fundingRate * 100;
+    if (Math.abs(fundingRatePct) < funding.thresholdPct) return;
+    if (!claim(state, 'funding', fundingCooldownMs, now)) return;
+
+    await send('funding', event.symbol, {
+      fundingRate: event.fundingRate,
+      fundingRatePct,
+      direction: fundingRatePct > 0 ? 'longs_pay' : 'shorts_pay',
+      markPrice: event.markPrice,
+      nextFundingTime: event.nextFundingTime,
+      thresholdPct: funding.thresholdPct,
+    }, now, fundingCooldownMs);
+  }
+
+  async function handleEvents(events) {
+    const now = clock();
+    for (const event of events) {
+      if (!isTracked(event.symbol)) continue;
+      if (event.type === 'liquidation' && enabled.liquidation) await handleLiquidation(event, now);
+      else if (event.type === 'mark_price') await handleMarkPrice(event, now);
+    }
+  }
+
+  async function checkOpenInterest(symbol, contracts, now) {
+    const state = getState(symbol);
+    state.openInterest = state.openInterest.filter((sample) => now - sample.at <= openInterestWindowMs);
+    state.openInterest.push({ at: now, contracts });
+
+    const [oldest] = state.openInterest;
+    if (oldest.contracts <= 0 || oldest === state.openInterest[state.openInterest.length - 1]) return;
+
+    const changePct = ((contracts - oldest.contracts) / oldest.contracts) * 100;
+    const openInterestUsd = state.markPrice ? toUsd(symbol, contracts * state.markPrice) : undefined;
+    if (Math.abs(changePct) < openInterest.jumpPct) return;
+    if (openInterest.minUsd && !(openInterestUsd >= openInterest.minUsd)) return;
+    if (!claim(state, 'open_interest', openInterestCooldownMs, now)) return;
+
+    await send('open_interest', symbol, {
+      openInterest: contracts,
+      previousOpenInterest: oldest.contracts,
+      openInterestUsd: openInterestUsd ?? null,
+      changePct,
+      direction: changePct > 0 ? 'up' : 'down',
+      windowMinutes: Math.round((now - oldest.at) / 60_000),
+      thresholdPct: openInterest.jumpPct,
+    }, now, openInterestCooldownMs);
+  }
+
+  // One symbol at a time so a large symbol list does not burst the REST rate limit
+  async function pollOpenInterest() {
+    let failed = 0;
+    let lastError;
+    for (const symbol of getSymbols()) {
+      if (stopped) return;
+      if (!isTracked(symbol)) continue;
+      try {
+        const contracts = await fetchOpenInterest(symbol);
+        if (Number.isFinite(contracts)) await checkOpenInterest(symbol, contracts, clock());
+      } catch (error) {
+        failed += 1;
+        lastError = error;
+      }
+    }
+    lastPollAt = clock();
+    if (failed) log.warn('open_interest.poll_failed', { failed, error: lastError });
+  }
+
+  function schedulePoll() {
+    pollTimer = setTimeout(async () => {
+      await pollOpenInterest();
+      if (!stopped) schedulePoll();
+    }, openInterestPollMs);
+  }
+
+  function start() {
+    if (enabled.open_interest && timers) schedulePoll();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(pollTimer);
+  }
+
+  // Symbols no longer tracked lose their windows, samples and cooldowns
+  function cleanup(tracked) {
+    const keep = new Set(tracked);
+    for (const symbol of symbols.keys()) {
+      if (!keep.has(symbol)) symbols.delete(symbol);
+    }
+  }
+
+  function getStatus() {
+    return {
+      enabled,
+      symbols: symbols.size,
+      openInterestPolledAt: lastPollAt ? new Date(lastPollAt).toISOString() : null,
+    };
+  }
+
+  return {
+    needsStreams: enabled.liquidation || enabled.funding || enabled.open_interest,
+    handleEvents,
+    pollOpenInterest,
+    start,
+    stop,
+    cleanup,
+    getStatus,
+  };
+}
+
+module.exports = { createFuturesSignals };
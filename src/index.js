@@ -1,61 +1,129 @@
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 const http = require('http');
-const WebSocket = require('ws');
+const os = require('os');
+const path = require('path');
 const fetch = require('cross-fetch');
+const { createFileSnapshotStore } = require('./snapshot-store');
+const { createRetryQueue } = require('./retry-queue');
+const { createWorkerMetrics } = require('./metrics');
+const { createTradeRecorder } = require('./trade-recorder');
+const { createAlertDigest, createPushLimiter } = require('./alert-digest');
+const { QUOTE_ASSETS, splitSymbol, parseQuoteAssets, createUsdRates } = require('./usd-rates');
+const { EXCHANGES, createExchangeAdapter } = require('./exchanges');
+const { createFuturesSignals } = require('./futures-signals');
+const { DEFAULT_STREAMS_PER_CONNECTION, DEFAULT_STREAM_STALE_MS, createStreamPool } = require('./stream-pool');
+const { DEFAULT_WINDOW_BUCKET_MS, createFlowWindow } = require('./rolling-window');
+const {
+  DEFAULT_BASELINE_MULTIPLIER,
+  DEFAULT_BASELINE_HISTORY_MS,
+  DEFAULT_BASELINE_MIN_SAMPLES,
+  createBaselineHistory,
+} = require('./baseline');
+const {
+  ALERT_MODES,
+  DEFAULT_ALERT_REARM_PCT,
+  DEFAULT_ESCALATION_TIERS,
+  DEFAULT_FLOW_MIN_VOLUME_USD,
+  parseAlertMode,
+  parseEscalationTiers,
+  evaluateWindowAlert,
+  detectFlowImbalance,
+} = require('./alert-triggers');
+const {
+  DEFAULT_SINK_TIMEOUT_MS,
+  parseSinkConfigs,
+  createNotificationSink,
+  createNotifier,
+} = require('./notification-sinks');
+const { buildAlertId, signAlertRequest, verifyAlertRequest } = require('./alert-signing');
+const {
+  LEASE_BACKENDS,
+  DEFAULT_LEASE_TTL_MS,
+  DEFAULT_LEASE_KEY,
+  createLeaseStore,
+  createLeaderElection,
+} = require('./leader-lease');
+const {
+  DEFAULT_DISCOVERY_URLS,
+  parseSymbolList,
+  mergeSymbolRules,
+  createSymbolFilter,
+  discoverSymbols,
+} = require('./symbol-sources');
+const { createLogger, LEVELS, LOG_FORMATS } = require('./logger');
+const { DURATION_UNITS, parseDuration, parseAmount, loadConfig, describeConfig } = require('./config');
 
-const DEFAULT_WS_RETRY_MS = 5_000;
-const MAX_WS_RETRY_MS = 60_000;
 /** Symbol list refresh: default once per week. Override with SYMBOL_REFRESH_INTERVAL_MS. */
 const DEFAULT_SYMBOL_REFRESH_MS = 7 * 24 * 60 * 60 * 1000; // 1 week
+/** Until the symbol source first answers, failed fetches retry after 30s, doubling up to 10 min. */
+const SYMBOL_RETRY_MS = 30_000;
+const MAX_SYMBOL_RETRY_MS = 10 * 60_000;
 /** Settings refresh: 10 min to limit DB calls. Override with SETTINGS_REFRESH_INTERVAL_MS. */
 const DEFAULT_SETTINGS_REFRESH_MS = 10 * 60_000;
+/**
+ * Where symbols come from unless BINANCE_SYMBOLS is set: the backend list or
+ * exchangeInfo discovery. The last list fetched is cached on disk and used
+ * when the source is unreachable at startup.
+ */
+const SYMBOL_SOURCES = ['backend', 'discovery'];
+const DEFAULT_SYMBOL_CACHE_DIR = './data';
 
 const DEFAULT_VOLUME_WINDOW_MS = 15 * 60_000;
 const DEFAULT_VOLUME_THRESHOLD_USD = 400_000;
 const DEFAULT_FUTURES_VOLUME_THRESHOLD_USD = 600_000;
 const DEFAULT_NOTIFICATION_COOLDOWN_MS = 15 * 60_000;
-
-// Major coins to exclude from volume tracking
-const EXCLUDED_SYMBOLS = new Set([
-  'btcusdt',
-  'ethusdt',
-  'solusdt',
-  'bnbusdt',
-  'bchusdt',
-  'xrpusdt',
-  'linkusdt',
-  'dogeusdt',
-  'usdcusdt',
-  'usdtusdt',
-  'wbtcusdt',
-  'usd1usdt',
-  'fdusdusdt',
-]);
-
-function assertEnv(name, optional) {
-  const value = process.env[name];
-
-  if (!optional && (value === undefined || value === '')) {
-    throw new Error(`Missing required environment variable: ${name}`);
-  }
-
-  return value;
+/**
+ * Surge digest: volume alerts are held this long, and if more than
+ * DEFAULT_ALERT_DIGEST_MIN_SYMBOLS symbols triggered meanwhile they go out as
+ * one digest push listing the top movers. Volume pushes are also capped per minute.
+ */
+const DEFAULT_ALERT_DIGEST_WINDOW_MS = 5_000;
+const DEFAULT_ALERT_DIGEST_MIN_SYMBOLS = 5;
+const DEFAULT_ALERT_DIGEST_TOP_MOVERS = 10;
+const DEFAULT_MAX_PUSHES_PER_MINUTE = 20;
+/** How often per-symbol window state and cooldowns are snapshotted (when enabled). */
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 60_000;
+const SNAPSHOT_VERSION = 1;
+/** Where the push retry queue and dead-letter file live unless configured. */
+const DEFAULT_PUSH_RETRY_DIR = './data';
+/** Failed pushes older than this are dead-lettered instead of retried. */
+const DEFAULT_PUSH_RETRY_MAX_AGE_MS = 30 * 60_000;
+/** Where the file-backed leader lease lives unless configured. */
+const DEFAULT_LEASE_DIR = './data';
+/**
+ * Futures liquidation / funding / open-interest alerts (off unless their
+ * threshold is set). Open interest is polled from a URL template where
+ * {symbol} becomes e.g. BTCUSDT; the response must look like Binance's
+ * `{ "openInterest": "123.4" }`. Other exchanges poll only a URL set for them.
+ */
+const DEFAULT_OPEN_INTEREST_URL = 'https://fapi.binance.com/fapi/v1/openInterest?symbol={symbol}';
+const FUTURES_SIGNAL_ROUTES = {
+  liquidation: '/api/push/futures-liquidation',
+  funding: '/api/push/futures-funding',
+  open_interest: '/api/push/futures-open-interest',
+};
+/** Trade recorder limits (recording is off unless TRADE_RECORD_DIR is set). */
+const DEFAULT_TRADE_RECORD_MAX_FILE_BYTES = 256 * 1024 * 1024;
+const DEFAULT_TRADE_RECORD_MAX_TOTAL_BYTES = 5 * 1024 * 1024 * 1024;
+const DEFAULT_TRADE_RECORD_RETENTION_MS = 7 * 24 * 60 * 60_000;
+/** Trades held in memory while the disk catches up; beyond this they are dropped. */
+const DEFAULT_TRADE_RECORD_BUFFER_TRADES = 50_000;
+/** Conversion rates older than this are unusable; trades in that quote asset are dropped. */
+const DEFAULT_USD_RATE_MAX_AGE_MS = 15 * 60_000;
+/** Dropped-trade warnings are aggregated per quote asset over this interval. */
+const DROPPED_TRADE_LOG_INTERVAL_MS = 60_000;
+/** The worker exits once /health has been degraded this long, for the platform to restart it (0 never exits). */
+const DEFAULT_UNHEALTHY_EXIT_MS = 15 * 60_000;
+const HEALTH_WATCHDOG_INTERVAL_MS = 30_000;
+
+function isUsdtSymbol(symbol) {
+  return symbol.endsWith('usdt');
 }
 
-function createLogger(level) {
-  const levels = ['error', 'warn', 'info', 'debug'];
-  const normalized = level && levels.includes(level) ? level : 'info';
-  const currentIndex = levels.indexOf(normalized);
-
-  return levels.reduce((acc, name, index) => {
-    acc[name] = (...args) => {
-      if (index <= currentIndex) {
-        const method = name === 'debug' ? 'log' : name;
-        console[method](`[${name.toUpperCase()}]`, ...args);
-      }
-    };
-    return acc;
-  }, {});
+function isAuthorized(req, expectedToken) {
+  const authHeader = req.headers.authorization || req.headers.Authorization;
+  const token = authHeader?.replace('Bearer ', '').trim();
+  return Boolean(expectedToken) && token === expectedToken;
 }
 
 function normalizeBaseUrl(url) {
@@ -69,52 +137,10 @@ function parseSymbols(raw) {
     .split(',')
     .map((item) => item.trim())
     .filter(Boolean)
-    .map((item) => item.toLowerCase())
-    .filter((s) => !EXCLUDED_SYMBOLS.has(s));
+    .map((item) => item.toLowerCase());
 }
 
-function buildBinanceWsUrl(symbols, customUrl, type = 'spot') {
-  const defaultBase = type === 'futures' 
-    ? 'wss://fstream.binance.com'
-    : 'wss://stream.binance.com:9443';
-  const base = customUrl || defaultBase;
-  if (!symbols.length) return undefined;
-
-  if (symbols.length === 1) {
-    return `${base}/ws/${symbols[0]}@trade`;
-  }
-
-  const streams = symbols.map((symbol) => `${symbol}@trade`).join('/');
-  return `${base}/stream?streams=${streams}`;
-}
-
-function parseTradeMessage(messageBuffer, log) {
-  try {
-    const payload = JSON.parse(messageBuffer.toString());
-    const data = payload.data || payload;
-
-    const symbol = data.s ? String(data.s).toLowerCase() : undefined;
-    const tradeTime = Number(data.T ?? data.E ?? Date.now());
-    const price = Number(data.p);
-    const qty = Number(data.q);
-
-    if (!symbol || !Number.isFinite(price) || !Number.isFinite(qty)) {
-      return undefined;
-    }
-
-    const quoteUsd = price * qty; // USDT pairs => approx USD
-    if (!Number.isFinite(quoteUsd)) {
-      return undefined;
-    }
-
-    return { symbol, tradeTime, quoteUsd };
-  } catch (error) {
-    // Silently ignore parse errors
-    return undefined;
-  }
-}
-
-async function fetchTrackedSymbols(baseUrl, token, log) {
+async function fetchTrackedSymbols(baseUrl, token, log, isSupported = isUsdtSymbol) {
   const url = `${normalizeBaseUrl(baseUrl)}/api/volume-alert/symbols`;
 
   const response = await fetch(url, {
@@ -140,11 +166,10 @@ async function fetchTrackedSymbols(baseUrl, token, log) {
   return symbols
     .map((s) => String(s).toLowerCase())
     .filter(Boolean)
-    .filter((s) => s.endsWith('usdt'))
-    .filter((s) => !EXCLUDED_SYMBOLS.has(s));
+    .filter(isSupported);
 }
 
-async function fetchFuturesSymbols(baseUrl, token, log) {
+async function fetchFuturesSymbols(baseUrl, token, log, isSupported = isUsdtSymbol) {
   const url = `${normalizeBaseUrl(baseUrl)}/api/volume-alert/futures-symbols`;
 
   const response = await fetch(url, {
@@ -170,8 +195,112 @@ async function fetchFuturesSymbols(baseUrl, token, log) {
   return symbols
     .map((s) => String(s).toLowerCase())
     .filter(Boolean)
-    .filter((s) => s.endsWith('usdt'))
-    .filter((s) => !EXCLUDED_SYMBOLS.has(s));
+    .filter(isSupported);
+}
+
+/** Short label for a window length, e.g. 60000 -> '1m', 3600000 -> '1h'. */
+function formatWindowId(windowMs) {
+  if (windowMs % DURATION_UNITS.h === 0) return `${windowMs / DURATION_UNITS.h}h`;
+  if (windowMs % DURATION_UNITS.m === 0) return `${windowMs / DURATION_UNITS.m}m`;
+  if (windowMs % DURATION_UNITS.s === 0) return `${windowMs / DURATION_UNITS.s}s`;
+  return `${windowMs}ms`;
+}
+
+/**
+ * Parses window definitions from env (`1m:150000:60000,5m,15m:400000`, i.e.
+ * window[:thresholdUsd[:cooldown]]) or from the settings endpoint
+ * (`[{ window: '5m', threshold, cooldownMs }]`). Threshold and cooldown are
+ * optional and fall back to the market-wide values. Sorted shortest first.
+ */
+function parseWindowDefinitions(raw) {
+  if (!raw) return [];
+
+  const items = Array.isArray(raw)
+    ? raw
+    : String(raw)
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const [window, threshold, cooldown] = item.split(':');
+        return { window, threshold, cooldownMs: cooldown };
+      });
+
+  const definitions = new Map();
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+
+    const windowMs = parseDuration(item.window ?? item.windowMs);
+    if (!Number.isFinite(windowMs) || windowMs < DEFAULT_WINDOW_BUCKET_MS) continue;
+
+    const definition = { id: formatWindowId(windowMs), windowMs };
+    const threshold = parseAmount(item.threshold);
+    const cooldownMs = parseDuration(item.cooldownMs);
+    if (Number.isFinite(threshold) && threshold > 0) definition.thresholdUsd = threshold;
+    if (Number.isFinite(cooldownMs) && cooldownMs >= 0) definition.cooldownMs = cooldownMs;
+
+    definitions.set(definition.id, definition);
+  }
+
+  return Array.from(definitions.values()).sort((a, b) => a.windowMs - b.windowMs);
+}
+
+/** Strict variant for env config: throws naming every entry that does not parse. */
+function parseWindowList(raw) {
+  const problems = [];
+  for (const item of String(raw).split(',').map((part) => part.trim()).filter(Boolean)) {
+    const [window, threshold, cooldown] = item.split(':');
+    if (!(parseDuration(window) >= DEFAULT_WINDOW_BUCKET_MS)) {
+      problems.push(`"${item}" has no valid window length`);
+    } else if (threshold && !(parseAmount(threshold) > 0)) {
+      problems.push(`"${item}" has an invalid threshold`);
+    } else if (cooldown && !(parseDuration(cooldown) >= 0)) {
+      problems.push(`"${item}" has an invalid cooldown`);
+    }
+  }
+  if (problems.length) {
+    throw new Error(`${problems.join('; ')} (expected window[:thresholdUsd[:cooldown]], e.g. 5m:250k:10m)`);
+  }
+  return parseWindowDefinitions(raw);
+}
+
+/**
+ * Normalizes a `{ [symbol]: { threshold, cooldownMs, enabled, muted, windows } }`
+ * map from the settings endpoint. Only fields that are present are kept, so
+ * they can be merged over the worker's global defaults. `windows` holds
+ * per-window `{ threshold, cooldownMs }` keyed by window id (e.g. '5m').
+ */
+function parseSymbolOverrides(raw) {
+  const overrides = new Map();
+  if (!raw || typeof raw !== 'object') return overrides;
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (!value || typeof value !== 'object') continue;
+
+    const symbol = String(key).trim().toLowerCase();
+    const override = {};
+    const threshold = Number(value.threshold ?? value.volumeThreshold);
+    const cooldownMs = Number(value.cooldownMs);
+
+    if (Number.isFinite(threshold) && threshold > 0) override.thresholdUsd = threshold;
+    if (Number.isFinite(cooldownMs) && cooldownMs >= 0) override.cooldownMs = cooldownMs;
+    if (typeof value.enabled === 'boolean') override.enabled = value.enabled;
+    if (typeof value.muted === 'boolean') override.muted = value.muted;
+    if (value.windows && typeof value.windows === 'object') {
+      const windows = {};
+      for (const definition of parseWindowDefinitions(
+        Object.entries(value.windows).map(([window, rules]) => ({ ...rules, window }))
+      )) {
+        const { id, windowMs, ...rules } = definition;
+        if (Object.keys(rules).length) windows[id] = rules;
+      }
+      if (Object.keys(windows).length) override.windows = windows;
+    }
+
+    if (symbol && Object.keys(override).length) overrides.set(symbol, override);
+  }
+
+  return overrides;
 }
 
 async function fetchVolumeSettings(baseUrl, token, log) {
@@ -194,116 +323,167 @@ async function fetchVolumeSettings(baseUrl, token, log) {
   return {
     spotVolumeThreshold: Number(payload.spotVolumeThreshold) || DEFAULT_VOLUME_THRESHOLD_USD,
     futuresVolumeThreshold: Number(payload.futuresVolumeThreshold) || DEFAULT_FUTURES_VOLUME_THRESHOLD_USD,
+    // Baseline settings are optional; undefined keeps the worker's env values
+    spotBaselineMultiplier: Number(payload.spotBaselineMultiplier) || undefined,
+    futuresBaselineMultiplier: Number(payload.futuresBaselineMultiplier) || undefined,
+    spotAlertMode: parseAlertMode(payload.spotAlertMode),
+    futuresAlertMode: parseAlertMode(payload.futuresAlertMode),
+    spotSymbolOverrides: parseSymbolOverrides(payload.spotSymbolOverrides),
+    futuresSymbolOverrides: parseSymbolOverrides(payload.futuresSymbolOverrides),
+    spotWindows: parseWindowDefinitions(payload.spotWindows),
+    futuresWindows: parseWindowDefinitions(payload.futuresWindows),
+    // Added to the env / default symbol rules, see createSymbolFilter
+    symbolRules: {
+      excludedSymbols: parseSymbolList(payload.excludedSymbols),
+      includePatterns: parseSymbolList(payload.symbolIncludePatterns),
+      excludePatterns: parseSymbolList(payload.symbolExcludePatterns),
+    },
     updatedAt: payload.updatedAt || null,
   };
 }
 
-async function broadcastVolumeAlert(baseUrl, token, symbol, volumeUsd, log) {
-  const url = `${normalizeBaseUrl(baseUrl)}/api/push/volume`;
-
-  const response = await fetch(url, {
+/**
+ * POST options for a backend push: the bearer token plus, for alerts with an
+ * ID, the alert ID (also added to the body), timestamp and HMAC signature
+ * headers of ./alert-signing. Unsigned without ALERT_SIGNING_SECRET. Times
+ * out like the other sinks, so a hanging backend fails into the retry queue.
+ */
+function backendPushRequest(token, payload, { alertId, secret } = {}) {
+  const body = JSON.stringify(alertId ? { alertId, ...payload } : payload);
+  return {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${token}`,
       'Content-Type': 'application/json',
+      ...(alertId && signAlertRequest({ body, alertId, secret })),
     },
-    body: JSON.stringify({
-      symbol,
-      volumeUsd,
-      windowMinutes: 15,
-    }),
-  });
+    body,
+    signal: AbortSignal.timeout(DEFAULT_SINK_TIMEOUT_MS),
+  };
+}
 
+async function fetchOpenInterest(urlTemplate, symbol) {
+  const response = await fetch(urlTemplate.replace('{symbol}', symbol.toUpperCase()));
   if (!response.ok) {
-    const text = await response.text();
-    throw new Error(
-      `Failed to broadcast volume alert (${response.status} ${response.statusText}): ${text}`
-    );
+    const error = new Error(`Failed to fetch open interest for ${symbol} (${response.status} ${response.statusText})`);
+    error.status = response.status;
+    throw error;
   }
-
-  const result = await response.json();
-  const successful = result.successful || result.total || 0;
-  const total = result.total || 0;
-  const emails = result.successfulEmails || [];
-  
-  // Beautiful formatted log for sent notifications
-  const notificationLog = {
-    type: 'SPOT',
-    symbol: symbol.toUpperCase(),
-    volume: `$${Math.round(volumeUsd).toLocaleString()}`,
-    sent: `${successful}/${total} users`,
-    users: emails.length > 0 ? emails : ['No users'],
-  };
-  
-  console.log(`📢 SPOT VOLUME NOTIFICATION SENT | ${JSON.stringify(notificationLog)}`);
-
-  return result;
+  const payload = await response.json();
+  return Number(payload.openInterest);
 }
 
-async function broadcastFuturesVolumeAlert(baseUrl, token, symbol, volumeUsd, log) {
-  const url = `${normalizeBaseUrl(baseUrl)}/api/push/futures-volume`;
+/**
+ * POSTs one alert to a backend push route and logs `alert.sent` with
+ * `logFields` plus the delivery counts the backend reports. `target` carries
+ * the backend URL, token, logger and signing options of the sink.
+ */
+async function postToBackend(path, payload, logFields, { baseUrl, token, log, request }) {
+  const url = `${normalizeBaseUrl(baseUrl)}${path}`;
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      symbol,
-      volumeUsd,
-      windowMinutes: 15,
-    }),
-  });
+  const response = await fetch(url, backendPushRequest(token, payload, request));
 
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(
-      `Failed to broadcast futures volume alert (${response.status} ${response.statusText}): ${text}`
+    const error = new Error(
+      `Failed to broadcast ${logFields.alert} alert to ${path} (${response.status} ${response.statusText}): ${text}`
     );
+    error.status = response.status; // lets the retry queue skip non-retryable 4xx
+    throw error;
   }
 
   const result = await response.json();
-  const successful = result.successful || result.total || 0;
-  const total = result.total || 0;
-  const emails = result.successfulEmails || [];
-  
-  // Beautiful formatted log for sent notifications
-  const notificationLog = {
-    type: 'FUTURES',
-    symbol: symbol.toUpperCase(),
-    volume: `$${Math.round(volumeUsd).toLocaleString()}`,
-    sent: `${successful}/${total} users`,
-    users: emails.length > 0 ? emails : ['No users'],
-  };
-  
-  console.log(`📢 FUTURES VOLUME NOTIFICATION SENT | ${JSON.stringify(notificationLog)}`);
+
+  log.info('alert.sent', {
+    ...logFields,
+    sent: result.successful || result.total || 0,
+    total: result.total || 0,
+    users: result.successfulEmails,
+  });
 
   return result;
 }
 
-function createRollingWindow(windowMs) {
-  const entries = [];
-  let sum = 0;
+/**
+ * The Oruba backend push routes as a notification sink (see
+ * ./notification-sinks). Always present unless NOTIFICATION_SINKS lists its
+ * own `backend` entry, e.g. to filter it.
+ */
+function createBackendSink(baseUrl, token, { name = 'backend', filter = {}, signingSecret } = {}) {
+  return {
+    name,
+    type: 'backend',
+    filter,
+    send(alert, log) {
+      const { market, symbol, volumeUsd, details } = alert;
+      const futures = market === 'futures';
+      const target = { baseUrl, token, log, request: { alertId: alert.id, secret: signingSecret } };
+
+      if (alert.alert === 'digest') {
+        return postToBackend(futures ? '/api/push/futures-volume-digest' : '/api/push/volume-digest', { market, ...details }, {
+          alert: 'digest',
+          symbols: details.symbolCount,
+          top: details.movers.slice(0, 5).map((mover) => mover.symbol.toUpperCase()),
+          volumeUsd: Math.round(details.totalVolumeUsd),
+        }, target);
+      }
+      if (alert.alert === 'flow') {
+        return postToBackend(futures ? '/api/push/futures-volume-flow' : '/api/push/volume-flow', { symbol, ...details }, {
+          alert: 'flow',
+          symbol: symbol.toUpperCase(),
+          direction: details.direction,
+          netFlowUsd: Math.round(details.netFlowUsd),
+          buyRatio: formatRatio(details.buyRatio),
+        }, target);
+      }
+      if (FUTURES_SIGNAL_ROUTES[alert.alert]) {
+        return postToBackend(FUTURES_SIGNAL_ROUTES[alert.alert], { symbol, ...details }, {
+          alert: alert.alert,
+          symbol: symbol.toUpperCase(),
+          liquidatedUsd: details.liquidatedUsd !== undefined ? Math.round(details.liquidatedUsd) : undefined,
+          fundingRatePct: details.fundingRatePct,
+          changePct: details.changePct !== undefined ? Number(details.changePct.toFixed(2)) : undefined,
+        }, target);
+      }
+      return postToBackend(futures ? '/api/push/futures-volume' : '/api/push/volume', { symbol, volumeUsd, ...details }, {
+        alert: 'volume',
+        symbol: symbol.toUpperCase(),
+        window: details.window,
+        volumeUsd: Math.round(volumeUsd),
+        buyRatio: formatRatio(details.buyRatio),
+        trigger: details.trigger,
+        tier: details.tier,
+        escalation: details.escalation || undefined,
+      }, target);
+    },
+  };
+}
 
-  function add(ts, value) {
-    entries.push({ ts, value });
-    sum += value;
-  }
+function formatRatio(ratio) {
+  return Number.isFinite(ratio) ? `${(ratio * 100).toFixed(1)}%` : 'n/a';
+}
 
-  function prune(now) {
-    const cutoff = now - windowMs;
-    while (entries.length && entries[0].ts < cutoff) {
-      const item = entries.shift();
-      sum -= item.value;
-    }
+/**
+ * Shapes a worker's getState() for the /status route: optional symbol filter,
+ * sorted by closest-to-threshold (highest % of threshold first) or by name.
+ */
+function buildStatusView(state, { sort, limit, symbol }) {
+  let symbols = state.symbols;
+  if (symbol) {
+    const wanted = symbol.toLowerCase();
+    symbols = symbols.filter((item) => item.symbol === wanted);
   }
 
-  function getSum() {
-    return sum;
-  }
+  const closeness = (item) => Math.max(0, ...item.windows.map((w) => w.percentOfThreshold || 0));
+  symbols = sort === 'symbol'
+    ? symbols.slice().sort((a, b) => a.symbol.localeCompare(b.symbol))
+    : symbols.slice().sort((a, b) => closeness(b) - closeness(a));
 
-  return { add, prune, getSum };
+  return {
+    ...state,
+    totalSymbols: state.symbols.length,
+    symbols: limit ? symbols.slice(0, limit) : symbols,
+  };
 }
 
 async function startWorker(config) {
@@ -311,43 +491,356 @@ async function startWorker(config) {
     baseUrl,
     workerApiToken,
     pushTriggerToken,
-    log,
+    log: parentLog,
+    symbols: fixedSymbols = [], // BINANCE_SYMBOLS override; empty means use `symbolSource`
+    symbolSource = 'backend', // 'backend' list or exchangeInfo 'discovery'
+    discovery = {}, // { url, minVolumeUsd } for discovery
+    symbolRules = {}, // env { excludedSymbols, includePatterns, excludePatterns }
+    initialSymbolRules = {}, // the same from the settings endpoint (merged over env)
+    symbolCache, // optional { load(key), save(key, data) } keeping the last fetched symbol list
+    wsBaseUrl, // optional exchange WebSocket base URL override
     symbolRefreshMs,
+    settingsRefreshMs = DEFAULT_SETTINGS_REFRESH_MS,
     volumeWindowMs,
     initialVolumeThresholdUsd,
     notificationCooldownMs,
+    rearmRatio = DEFAULT_ALERT_REARM_PCT / 100, // re-alert only after volume drops below this share of the threshold
+    escalationTiers = DEFAULT_ESCALATION_TIERS, // threshold multiples that escalate during cooldown
+    flowAlerts = {}, // optional taker buy/sell imbalance limits
+    baseline = {}, // relative spike detection (mode, multiplier, zScore, historyMs, minSamples)
+    digest: digestConfig = {}, // surge digest (windowMs, minSymbols, topMovers)
+    pushLimiter = createPushLimiter(), // per-minute push budget, shareable across workers
+    futuresSignals: signalConfig = {}, // futures only: { liquidation, funding, openInterest } alert settings
+    initialSymbolOverrides = new Map(), // symbol -> { thresholdUsd, cooldownMs, enabled, muted, windows }
+    windowDefinitions = [], // env windows: [{ id, windowMs, thresholdUsd?, cooldownMs? }]
+    initialSettingsWindows = [], // windows from the settings endpoint (take precedence)
+    initialSettingsUpdatedAt = null, // updatedAt of the settings the initial values came from
+    settingSources = {}, // 'env' | 'default' | 'API' for the initial threshold, alertMode, baselineMultiplier
+    streamsPerConnection = DEFAULT_STREAMS_PER_CONNECTION,
+    streamStaleMs = DEFAULT_STREAM_STALE_MS,
+    snapshotStore, // optional { load(key), save(key, data) } for window/cooldown state
+    snapshotIntervalMs = DEFAULT_SNAPSHOT_INTERVAL_MS,
+    retryQueue, // optional durable queue for failed alert deliveries
+    recorder, // optional raw trade recorder ({ record(trade) })
+    usdRates = createUsdRates(), // quote asset -> USD conversion; USDT pairs only unless fed rates
+    metrics = createWorkerMetrics(), // shared counters/histograms rendered by /metrics
+    clock = Date.now, // current time; replay passes simulated trade time
+    notifier = createNotifier({ sinks: [createBackendSink(baseUrl, pushTriggerToken)] }), // alert fan-out, see ./notification-sinks
+    sink, // optional async (alert) => result used instead of the notifier (replay/backtests)
+    isLeader = () => true, // false on standby instances: windows stay warm but nothing is sent
+    connect = true, // false: no streams, refresh timers or snapshots; trades come via ingestTrade()
     type = 'spot', // 'spot' or 'futures'
+    adapter = createExchangeAdapter('binance', type), // exchange protocol, see ./exchanges
   } = config;
 
-  let ws;
-  let reconnectAttempts = 0;
-  let closedByUser = false;
+  if (adapter.market !== type) {
+    throw new Error(`${adapter.exchange} adapter is for ${adapter.market}, not ${type}`);
+  }
+  const log = parentLog.child({ worker: type, exchange: adapter.exchange });
+
+  let alertMode = baseline.mode || 'absolute';
+  let baselineMultiplier = baseline.multiplier || DEFAULT_BASELINE_MULTIPLIER;
+  const baselineZScore = baseline.zScore || 0;
+  const baselineMinSamples = baseline.minSamples ?? DEFAULT_BASELINE_MIN_SAMPLES;
+  const baselineHistoryMs = baseline.historyMs || DEFAULT_BASELINE_HISTORY_MS;
+
+  // Without explicit definitions, a single window of VOLUME_WINDOW_MS keeps the old behaviour
+  const envWindowDefs = windowDefinitions.length
+    ? windowDefinitions
+    : [{ id: formatWindowId(volumeWindowMs), windowMs: volumeWindowMs }];
+  let windowDefs = initialSettingsWindows.length ? initialSettingsWindows : envWindowDefs;
+
+  // Where each API-overridable value currently comes from, for /config
+  const envWindowSource = windowDefinitions.length ? 'env' : 'default';
+  const sources = {
+    volumeThresholdUsd: 'default',
+    alertMode: 'default',
+    baselineMultiplier: 'default',
+    ...settingSources,
+    windows: initialSettingsWindows.length ? 'API' : envWindowSource,
+    symbolRules: symbolRulesSource(initialSymbolRules),
+  };
 
-  let trackedSymbols = parseSymbols(process.env.BINANCE_SYMBOLS);
-  const explicitSymbols = trackedSymbols.length > 0;
+  const flowAlertsEnabled = Boolean(flowAlerts.netFlowThresholdUsd || flowAlerts.buyRatioThreshold);
+
+  // Tracked symbols are the source list (BINANCE_SYMBOLS, backend or discovery) through the filter
+  let symbolFilter = createSymbolFilter(mergeSymbolRules(symbolRules, initialSymbolRules));
+  const explicitSymbols = fixedSymbols.length > 0;
+  let sourceSymbols = fixedSymbols.slice();
+  let trackedSymbols = filterSymbols(sourceSymbols);
+  let trackedSet = new Set(trackedSymbols); // per-event membership checks (mark prices cover every contract)
+  const symbolStatus = {
+    source: explicitSymbols ? 'env' : symbolSource,
+    fetchedAt: null,
+    fromCache: false,
+    lastError: null,
+  };
+  let symbolRefreshTimer;
+  let symbolRetryAttempts = 0; // failed fetches before the source first answered
+  let settingsRefreshTimer;
 
   // Dynamic volume threshold (updated from API)
   let volumeThresholdUsd = initialVolumeThresholdUsd;
-  let lastSettingsUpdatedAt = null; // Track when settings were last updated
-
-  const windows = new Map(); // symbol -> rolling window
-  const lastBroadcastAt = new Map(); // symbol -> timestamp
+  let lastSettingsUpdatedAt = initialSettingsUpdatedAt; // Track when settings were last updated
+  let symbolOverrides = initialSymbolOverrides;
+
+  /**
+   * symbol -> {
+   *   windows: Map<windowId, flow window>,
+   *   histories: Map<windowId, baseline history>,
+   *   lastBroadcastAt: Map<windowId, timestamp>,
+   *   alertTiers: Map<windowId, tier of the last alert>, (absent = armed)
+   *   lastFlowBroadcastAt: timestamp (imbalance alerts),
+   * }
+   */
+  const symbolStates = new Map();
+  const lastSampledAt = new Map(); // windowId -> timestamp of last baseline sample
+  let baselineTimer;
+  let nextBaselineSampleAt; // replay only, see sampleBaselinesOnTrade
+  let snapshotTimer;
+
+  function getSymbolState(symbol) {
+    if (!symbolStates.has(symbol)) {
+      symbolStates.set(symbol, {
+        windows: new Map(),
+        histories: new Map(),
+        lastBroadcastAt: new Map(),
+        alertTiers: new Map(),
+        lastFlowBroadcastAt: undefined,
+      });
+    }
+    return symbolStates.get(symbol);
+  }
 
-  function getWindow(symbol) {
-    if (!windows.has(symbol)) {
-      windows.set(symbol, createRollingWindow(volumeWindowMs));
+  function getWindow(state, definition) {
+    if (!state.windows.has(definition.id)) {
+      state.windows.set(definition.id, createFlowWindow(definition.windowMs));
     }
-    return windows.get(symbol);
+    return state.windows.get(definition.id);
+  }
+
+  // The window flow-imbalance alerts are evaluated on: VOLUME_WINDOW_MS if defined, else the longest.
+  function getPrimaryWindowDef() {
+    return windowDefs.find((d) => d.windowMs === volumeWindowMs) || windowDefs[windowDefs.length - 1];
   }
 
   function cleanupWindows(validSymbols) {
     const keep = new Set(validSymbols);
-    for (const key of windows.keys()) {
+    for (const key of symbolStates.keys()) {
       if (!keep.has(key)) {
-        windows.delete(key);
-        lastBroadcastAt.delete(key);
+        symbolStates.delete(key);
       }
     }
+    if (signals) signals.cleanup(validSymbols);
+  }
+
+  // Drop per-window state for window lengths that are no longer configured.
+  function cleanupWindowDefinitions() {
+    const ids = new Set(windowDefs.map((d) => d.id));
+    for (const state of symbolStates.values()) {
+      for (const map of [state.windows, state.histories, state.lastBroadcastAt, state.alertTiers]) {
+        for (const id of map.keys()) {
+          if (!ids.has(id)) map.delete(id);
+        }
+      }
+    }
+    for (const id of lastSampledAt.keys()) {
+      if (!ids.has(id)) lastSampledAt.delete(id);
+    }
+  }
+
+  function getBaselineTickMs() {
+    return Math.min(...windowDefs.map((d) => d.windowMs));
+  }
+
+  // Record each window's sum once per its own length to build per-window baselines.
+  function sampleBaselines(now) {
+    const tickMs = getBaselineTickMs();
+    for (const definition of windowDefs) {
+      const last = lastSampledAt.get(definition.id) ?? now - tickMs;
+      if (now - last < definition.windowMs - tickMs / 2) continue;
+      lastSampledAt.set(definition.id, now);
+
+      const maxSamples = Math.max(1, Math.round(baselineHistoryMs / definition.windowMs));
+      for (const state of symbolStates.values()) {
+        const window = state.windows.get(definition.id);
+        if (!window) continue;
+        window.prune(now);
+        if (!state.histories.has(definition.id)) {
+          state.histories.set(definition.id, createBaselineHistory(maxSamples));
+        }
+        state.histories.get(definition.id).push(window.getSum());
+      }
+    }
+  }
+
+  function scheduleBaselineSampling() {
+    baselineTimer = setTimeout(() => {
+      sampleBaselines(clock());
+      scheduleBaselineSampling();
+    }, getBaselineTickMs());
+  }
+
+  // Without timers (replay), sample on the simulated clock as trades advance it
+  function sampleBaselinesOnTrade(now) {
+    if (nextBaselineSampleAt === undefined) nextBaselineSampleAt = now + getBaselineTickMs();
+    if (now < nextBaselineSampleAt) return;
+    sampleBaselines(now);
+    nextBaselineSampleAt = now + getBaselineTickMs();
+  }
+
+  function buildSnapshot() {
+    const symbols = {};
+    for (const [symbol, state] of symbolStates) {
+      const windows = {};
+      for (const [id, window] of state.windows) windows[id] = window.snapshot();
+
+      const histories = {};
+      for (const [id, history] of state.histories) histories[id] = history.getSamples();
+
+      symbols[symbol] = {
+        windows,
+        histories,
+        lastBroadcastAt: Object.fromEntries(state.lastBroadcastAt),
+        alertTiers: Object.fromEntries(state.alertTiers),
+        lastFlowBroadcastAt: state.lastFlowBroadcastAt,
+      };
+    }
+
+    return {
+      version: SNAPSHOT_VERSION,
+      type,
+      savedAt: Date.now(),
+      windows: windowDefs.map(({ id, windowMs }) => ({ id, windowMs })),
+      symbols,
+    };
+  }
+
+  async function persistSnapshot() {
+    if (!snapshotStore) return;
+    try {
+      await snapshotStore.save(type, buildSnapshot());
+      log.debug('snapshot.saved', { symbols: symbolStates.size });
+    } catch (error) {
+      log.error('snapshot.save_failed', { error });
+    }
+  }
+
+  function scheduleSnapshots() {
+    snapshotTimer = setTimeout(async () => {
+      await persistSnapshot();
+      scheduleSnapshots();
+    }, snapshotIntervalMs);
+  }
+
+  /**
+   * Restores windows, baselines and cooldowns saved by a previous process.
+   * The whole snapshot is dropped once it is older than the longest window
+   * or cooldown, and each window prunes its own expired buckets.
+   */
+  async function restoreSnapshot() {
+    let snapshot;
+    try {
+      snapshot = await snapshotStore.load(type);
+    } catch (error) {
+      log.error('snapshot.load_failed', { error });
+      return;
+    }
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.symbols) return;
+
+    const now = Date.now();
+    const maxAgeMs = Math.max(
+      notificationCooldownMs,
+      ...windowDefs.map((d) => Math.max(d.windowMs, d.cooldownMs || 0))
+    );
+    const ageMs = now - Number(snapshot.savedAt);
+    if (!(ageMs >= 0 && ageMs <= maxAgeMs)) {
+      log.info('snapshot.discarded', { ageSeconds: Math.round(ageMs / 1000), maxAgeSeconds: Math.round(maxAgeMs / 1000) });
+      return;
+    }
+
+    // Only restore windows whose length is unchanged; ids encode the length
+    const savedWindowIds = new Set((snapshot.windows || []).map((w) => w.id));
+    const restorable = windowDefs.filter((d) => savedWindowIds.has(d.id));
+    const keep = explicitSymbols ? new Set(trackedSymbols) : undefined;
+
+    let restored = 0;
+    for (const [symbol, saved] of Object.entries(snapshot.symbols)) {
+      if (keep && !keep.has(symbol)) continue;
+
+      const state = getSymbolState(symbol);
+      for (const definition of restorable) {
+        if (saved.windows && saved.windows[definition.id]) {
+          const window = getWindow(state, definition);
+          window.restore(saved.windows[definition.id]);
+          window.prune(now);
+          // Only meaningful alongside the restored volume; otherwise the window starts armed
+          const tier = saved.alertTiers && Number(saved.alertTiers[definition.id]);
+          if (tier) state.alertTiers.set(definition.id, tier);
+        }
+        if (saved.histories && saved.histories[definition.id]) {
+          const maxSamples = Math.max(1, Math.round(baselineHistoryMs / definition.windowMs));
+          const history = createBaselineHistory(maxSamples);
+          history.restore(saved.histories[definition.id]);
+          state.histories.set(definition.id, history);
+        }
+        const last = saved.lastBroadcastAt && Number(saved.lastBroadcastAt[definition.id]);
+        if (last && now - last < maxAgeMs) {
+          state.lastBroadcastAt.set(definition.id, last);
+        }
+      }
+      if (saved.lastFlowBroadcastAt && now - saved.lastFlowBroadcastAt < maxAgeMs) {
+        state.lastFlowBroadcastAt = saved.lastFlowBroadcastAt;
+      }
+      restored += 1;
+    }
+
+    log.info('snapshot.restored', {
+      symbols: restored,
+      windows: restorable.map((d) => d.id),
+      ageSeconds: Math.round(ageMs / 1000),
+    });
+  }
+
+  // Wraps one delivery to a sink with latency and sent/failed metrics.
+  async function timedBroadcast(alert, sinkName, send) {
+    const labels = { market: type, alert, sink: sinkName };
+    const stopTimer = metrics.broadcastDuration.startTimer(labels);
+    try {
+      const result = await send();
+      metrics.alertsSent.inc(labels);
+      return result;
+    } catch (error) {
+      metrics.alertsFailed.inc(labels);
+      throw error;
+    } finally {
+      stopTimer();
+    }
+  }
+
+  // Per-symbol overrides from the settings endpoint, merged over the globals.
+  function getSymbolRules(symbol) {
+    const override = symbolOverrides.get(symbol);
+    return {
+      thresholdUsd: volumeThresholdUsd,
+      cooldownMs: notificationCooldownMs,
+      enabled: true,
+      muted: false,
+      ...override,
+    };
+  }
+
+  /**
+   * Threshold and cooldown for one window of one symbol. Most specific wins:
+   * the symbol's per-window override, the window definition, then the
+   * symbol-wide override / market-wide value from getSymbolRules.
+   */
+  function getWindowRules(definition, rules) {
+    const override = rules.windows && rules.windows[definition.id];
+    return {
+      thresholdUsd: override?.thresholdUsd ?? definition.thresholdUsd ?? rules.thresholdUsd,
+      cooldownMs: override?.cooldownMs ?? definition.cooldownMs ?? rules.cooldownMs,
+    };
   }
 
   function symbolsEqual(a, b) {
@@ -359,351 +852,1192 @@ async function startWorker(config) {
     return true;
   }
 
+  function symbolRulesSource(apiRules = {}) {
+    const hasRules = (rules) => ['excludedSymbols', 'includePatterns', 'excludePatterns']
+      .some((key) => rules[key] && rules[key].length > 0);
+    if (hasRules(apiRules)) return 'API';
+    return hasRules(symbolRules) ? 'env' : 'default';
+  }
+
+  function filterSymbols(symbols) {
+    return Array.from(new Set(symbols)).filter(symbolFilter.allows).sort();
+  }
+
+  // Takes a new source list; streams and windows follow only if the filtered list changed
+  function applySymbols(symbols) {
+    sourceSymbols = symbols;
+    const next = filterSymbols(symbols);
+    if (symbolsEqual(next, trackedSymbols)) return;
+    trackedSymbols = next;
+    trackedSet = new Set(next);
+    cleanupWindows(trackedSymbols);
+    streams.updateSymbols(trackedSymbols);
+  }
+
+  function fetchSourceSymbols() {
+    if (symbolSource === 'discovery') {
+      return discoverSymbols({
+        url: discovery.url,
+        market: type,
+        quoteAssets: usdRates.quoteAssets,
+        minVolumeUsd: discovery.minVolumeUsd,
+        toUsd: usdRates.toUsd,
+      });
+    }
+    return type === 'futures'
+      ? fetchFuturesSymbols(baseUrl, workerApiToken, log, usdRates.supports)
+      : fetchTrackedSymbols(baseUrl, workerApiToken, log, usdRates.supports);
+  }
+
+  async function loadCachedSymbols() {
+    try {
+      const cached = await symbolCache.load(`symbols-${type}`);
+      // A list cached from the other source would silently change what is tracked
+      if (cached && cached.source === symbolSource && Array.isArray(cached.symbols)) return cached;
+    } catch (error) {
+      log.warn('symbols.cache_load_failed', { error });
+    }
+    return undefined;
+  }
+
+  /**
+   * Reloads the source list. When the source is unreachable the current list
+   * stays; with none yet (startup) the cached list is used if there is one.
+   * Never throws, so the refresh timers keep running.
+   */
   async function refreshSymbols() {
+    // e.g. OKX contract sizes; an unreachable exchange keeps the previously loaded ones
+    if (adapter.prepare) {
+      try {
+        await adapter.prepare();
+      } catch (error) {
+        log.error('exchange.prepare_failed', { error });
+      }
+    }
+
     if (explicitSymbols) {
       return;
     }
 
+    let symbols;
     try {
-      const symbols = type === 'futures' 
-        ? await fetchFuturesSymbols(baseUrl, workerApiToken, log)
-        : await fetchTrackedSymbols(baseUrl, workerApiToken, log);
-      const unique = Array.from(new Set(symbols)).sort();
-
-      if (!symbolsEqual(unique, trackedSymbols)) {
-        trackedSymbols = unique;
-        cleanupWindows(trackedSymbols);
-        reconnect(true);
-      }
+      symbols = await fetchSourceSymbols();
     } catch (error) {
-      log.error(`Failed to refresh ${type} symbols`, { error: error.message });
-      throw error; // Re-throw so caller knows it failed
+      symbolStatus.lastError = error.message;
+      if (!symbolStatus.fetchedAt || symbolStatus.fromCache) symbolRetryAttempts += 1;
+      if (sourceSymbols.length) {
+        log.error('symbols.refresh_failed', { error, fallback: 'last known list', symbolCount: trackedSymbols.length });
+        return;
+      }
+
+      const cached = symbolCache ? await loadCachedSymbols() : undefined;
+      if (!cached) {
+        log.error('symbols.refresh_failed', { error, fallback: 'none' });
+        return;
+      }
+      log.error('symbols.refresh_failed', {
+        error,
+        fallback: 'cache',
+        cachedAt: new Date(cached.fetchedAt).toISOString(),
+        symbolCount: cached.symbols.length,
+      });
+      symbolStatus.fetchedAt = cached.fetchedAt;
+      symbolStatus.fromCache = true;
+      applySymbols(cached.symbols);
+      return;
+    }
+
+    symbolStatus.fetchedAt = Date.now();
+    symbolStatus.fromCache = false;
+    symbolStatus.lastError = null;
+    symbolRetryAttempts = 0;
+    applySymbols(symbols);
+
+    if (symbolCache) {
+      try {
+        await symbolCache.save(`symbols-${type}`, { source: symbolSource, fetchedAt: symbolStatus.fetchedAt, symbols });
+      } catch (error) {
+        log.warn('symbols.cache_save_failed', { error });
+      }
     }
   }
 
+  // A source that has not answered yet (empty or cached list) is retried on a
+  // short backoff rather than after a whole refresh interval
   function scheduleSymbolRefresh() {
-    setTimeout(async () => {
+    let delay = symbolRefreshMs;
+    if (symbolRetryAttempts) {
+      delay = Math.min(SYMBOL_RETRY_MS * 2 ** (symbolRetryAttempts - 1), MAX_SYMBOL_RETRY_MS, symbolRefreshMs);
+      log.warn('symbols.retry_scheduled', { attempts: symbolRetryAttempts, retryInSeconds: Math.round(delay / 1000) });
+    }
+    symbolRefreshTimer = setTimeout(async () => {
       await refreshSymbols();
       scheduleSymbolRefresh();
-    }, symbolRefreshMs);
+    }, delay);
   }
 
   function scheduleSettingsRefresh() {
     // Settings (volume threshold) rarely change. 10 min default to limit DB calls.
     // Override with SETTINGS_REFRESH_INTERVAL_MS if you need faster updates.
-    const intervalMs = Number(process.env.SETTINGS_REFRESH_INTERVAL_MS) || DEFAULT_SETTINGS_REFRESH_MS;
-    setTimeout(async () => {
+    settingsRefreshTimer = setTimeout(async () => {
       await refreshVolumeSettings();
       scheduleSettingsRefresh();
-    }, intervalMs);
+    }, settingsRefreshMs);
+  }
+
+
+  function applyBaselineSettings(settings) {
+    const newMultiplier = type === 'futures'
+      ? settings.futuresBaselineMultiplier
+      : settings.spotBaselineMultiplier;
+    const newMode = type === 'futures' ? settings.futuresAlertMode : settings.spotAlertMode;
+
+    if (newMultiplier && newMultiplier !== baselineMultiplier) {
+      log.info('settings.baseline_multiplier_updated', { old: baselineMultiplier, new: newMultiplier });
+      baselineMultiplier = newMultiplier;
+    }
+    if (newMultiplier) sources.baselineMultiplier = 'API';
+
+    if (newMode && newMode !== alertMode) {
+      log.info('settings.alert_mode_updated', { old: alertMode, new: newMode });
+      alertMode = newMode;
+      if (alertMode !== 'absolute' && !baselineTimer) scheduleBaselineSampling();
+    }
+    if (newMode) sources.alertMode = 'API';
+  }
+
+  function applySymbolOverrides(settings) {
+    const next = type === 'futures' ? settings.futuresSymbolOverrides : settings.spotSymbolOverrides;
+    if (!next) return;
+
+    log.info('settings.symbol_overrides_applied', {
+      previous: symbolOverrides.size,
+      current: next.size,
+      symbols: Array.from(next.keys()).slice(0, 20),
+    });
+    symbolOverrides = next;
   }
 
+  function applyWindowSettings(settings) {
+    const fromApi = type === 'futures' ? settings.futuresWindows : settings.spotWindows;
+    const next = fromApi && fromApi.length ? fromApi : envWindowDefs;
+    sources.windows = next === envWindowDefs ? envWindowSource : 'API';
+    if (JSON.stringify(next) === JSON.stringify(windowDefs)) return;
+
+    log.info('settings.windows_updated', {
+      old: windowDefs.map((d) => d.id),
+      new: next.map((d) => d.id),
+      source: next === envWindowDefs ? 'env' : 'API',
+    });
+    windowDefs = next;
+    cleanupWindowDefinitions();
+  }
+
+  // Exclusions and patterns from the settings endpoint; re-filters the current source list
+  function applySymbolRules(settings) {
+    const next = createSymbolFilter(mergeSymbolRules(symbolRules, settings.symbolRules));
+    sources.symbolRules = symbolRulesSource(settings.symbolRules);
+    if (JSON.stringify(next.rules) === JSON.stringify(symbolFilter.rules)) return;
+
+    symbolFilter = next;
+    const before = trackedSymbols.length;
+    applySymbols(sourceSymbols);
+    log.info('settings.symbol_rules_updated', {
+      excludedSymbols: next.rules.excludedSymbols.length,
+      includePatterns: next.rules.includePatterns,
+      excludePatterns: next.rules.excludePatterns,
+      trackedBefore: before,
+      trackedAfter: trackedSymbols.length,
+    });
+  }
 
   async function refreshVolumeSettings() {
-    console.log(`🔄 ${type.toUpperCase()} Refreshing settings from API...`);
+    log.debug('settings.refreshing');
     try {
       const settings = await fetchVolumeSettings(baseUrl, workerApiToken, log);
       const newThreshold = type === 'futures' 
         ? settings.futuresVolumeThreshold 
         : settings.spotVolumeThreshold;
       
-      const debugInfo = {
-        worker: type.toUpperCase(),
-        currentThreshold: `$${volumeThresholdUsd.toLocaleString()}`,
-        newThreshold: `$${newThreshold.toLocaleString()}`,
-        lastUpdatedAt: lastSettingsUpdatedAt || 'never',
-        apiUpdatedAt: settings.updatedAt || 'unknown',
-      };
-      console.log(`📊 ${type.toUpperCase()} Settings comparison: ${JSON.stringify(debugInfo)}`);
-      
       // Only update if settings actually changed (check updatedAt)
       const settingsChanged = !lastSettingsUpdatedAt || 
         (settings.updatedAt && settings.updatedAt !== lastSettingsUpdatedAt);
-      
-      console.log(`📊 ${type.toUpperCase()} Settings changed: ${settingsChanged}`);
+
+      log.debug('settings.compared', {
+        currentThresholdUsd: volumeThresholdUsd,
+        newThresholdUsd: newThreshold,
+        lastUpdatedAt: lastSettingsUpdatedAt || null,
+        apiUpdatedAt: settings.updatedAt || null,
+        changed: Boolean(settingsChanged),
+      });
       
       if (settingsChanged) {
         if (newThreshold !== volumeThresholdUsd) {
-          const updateInfo = {
-            worker: type.toUpperCase(),
-            action: 'Threshold updated',
-            old: `$${volumeThresholdUsd.toLocaleString()}`,
-            new: `$${newThreshold.toLocaleString()}`,
+          log.info('settings.threshold_updated', {
+            old: volumeThresholdUsd,
+            new: newThreshold,
             updatedAt: settings.updatedAt,
-          };
-          console.log(`⚙️  ${type.toUpperCase()} THRESHOLD UPDATED | ${JSON.stringify(updateInfo)}`);
+          });
           volumeThresholdUsd = newThreshold;
-        } else {
-          console.log(`ℹ️  ${type.toUpperCase()} Threshold unchanged: $${volumeThresholdUsd.toLocaleString()}`);
         }
+        sources.volumeThresholdUsd = 'API';
+        applyBaselineSettings(settings);
+        applySymbolOverrides(settings);
+        applyWindowSettings(settings);
+        applySymbolRules(settings);
         lastSettingsUpdatedAt = settings.updatedAt;
-      } else {
-        console.log(`⏭️  ${type.toUpperCase()} Settings not changed (same updatedAt), skipping update`);
       }
     } catch (error) {
-      const errorInfo = {
-        worker: type.toUpperCase(),
-        action: 'Refresh settings',
-        error: error.message,
-        status: 'Failed',
-      };
-      console.log(`❌ ${type.toUpperCase()} SETTINGS REFRESH FAILED | ${JSON.stringify(errorInfo)}`);
-      log.error(`Failed to refresh ${type} volume settings`, { error });
+      log.error('settings.refresh_failed', { error });
     }
   }
 
-  async function handleTrade(symbol, tradeTime, quoteUsd) {
-    const now = Date.now();
-    const window = getWindow(symbol);
-    window.add(tradeTime || now, quoteUsd);
-    window.prune(now);
+  async function handleFlowImbalance(symbol, state, now, rules) {
+    const definition = getPrimaryWindowDef();
+    const flow = getWindow(state, definition).getFlow();
+    const direction = detectFlowImbalance(flow, flowAlerts);
+    if (!direction) return;
+
+    const last = state.lastFlowBroadcastAt;
+    if (last && now - last < rules.cooldownMs) return;
+    state.lastFlowBroadcastAt = now;
+
+    const details = {
+      exchange: adapter.exchange,
+      ...flow,
+      direction,
+      window: definition.id,
+      windowMinutes: definition.windowMs / 60_000,
+    };
 
-    const sum = window.getSum();
+    await deliverAlert(
+      { alert: 'flow', market: type, symbol, at: now, cooldownMs: rules.cooldownMs, details },
+      { alert: 'flow', symbol: symbol.toUpperCase() }
+    );
+  }
 
-    if (sum < volumeThresholdUsd) {
-      return;
+  async function handleTrade(symbol, tradeTime, quoteUsd, side) {
+    const rules = getSymbolRules(symbol);
+    if (!rules.enabled) {
+      return; // Disabled via settings: not tracked at all
     }
 
-    // CRITICAL: Check cooldown FIRST before any processing
-    // Aynı coin için 15 dakika içinde tekrar bildirim gönderilmemeli
-    const last = lastBroadcastAt.get(symbol);
-    if (last) {
-      const elapsedMs = now - last;
-      if (elapsedMs < notificationCooldownMs) {
-        return; // CRITICAL: Exit early, do NOT send notification (cooldown active)
-      }
+    const now = clock();
+    const state = getSymbolState(symbol);
+    const definitions = windowDefs;
+    for (const definition of definitions) {
+      const window = getWindow(state, definition);
+      window.add(tradeTime || now, quoteUsd, side);
+      window.prune(now);
     }
 
-    // CRITICAL: Set cooldown IMMEDIATELY before sending to prevent race conditions
-    // Bu sayede aynı anda gelen trade'ler için de cooldown aktif olur
-    lastBroadcastAt.set(symbol, now);
-    
-    try {
-      if (type === 'futures') {
-        await broadcastFuturesVolumeAlert(baseUrl, pushTriggerToken, symbol, sum, log);
-      } else {
-        await broadcastVolumeAlert(baseUrl, pushTriggerToken, symbol, sum, log);
-      }
-    } catch (error) {
-      log.error(`Failed to broadcast ${type} volume alert`, { symbol, error });
-      // Cooldown already set above, so no need to set again
-      // This prevents spam even if API call fails
+    if (!connect && alertMode !== 'absolute') {
+      sampleBaselinesOnTrade(now);
+    }
+    if (!connect) {
+      await digest.poll(now);
     }
-  }
 
-  function reconnect(dueToSymbolsChange) {
-    if (ws) {
-      reconnectAttempts = 0;
-      ws.close();
-    } else if (dueToSymbolsChange) {
-      connect();
+    if (rules.muted) {
+      return; // Muted: keep the window warm but never push
     }
-  }
 
-  function connect() {
-    if (!trackedSymbols.length) {
-      return;
+    if (flowAlertsEnabled) {
+      await handleFlowImbalance(symbol, state, now, rules);
     }
 
-    const url = buildBinanceWsUrl(trackedSymbols, process.env.BINANCE_WS_URL, type);
-    if (!url) {
-      log.warn(`Unable to determine Binance ${type} WebSocket URL. Skipping connection.`);
-      const errorInfo = {
-        worker: type.toUpperCase(),
-        error: 'Cannot build WebSocket URL',
-        status: 'Skipped',
-      };
-      console.log(`❌ ${type.toUpperCase()} WEBSOCKET URL ERROR | ${JSON.stringify(errorInfo)}`);
+    // Each window alerts independently with its own threshold and cooldown
+    await Promise.all(
+      definitions.map((definition) => checkWindow(symbol, state, definition, now, rules))
+    );
+  }
+
+  async function checkWindow(symbol, state, definition, now, rules) {
+    const window = getWindow(state, definition);
+    const { thresholdUsd, cooldownMs } = getWindowRules(definition, rules);
+    const sum = window.getSum();
+
+    const lastTier = state.alertTiers.get(definition.id);
+    const history = state.histories.get(definition.id);
+    const { rearmed, alert } = evaluateWindowAlert(
+      {
+        sum,
+        thresholdUsd,
+        cooldownMs,
+        now,
+        lastAlertAt: state.lastBroadcastAt.get(definition.id),
+        lastTier,
+        stats: history && history.getStats(),
+      },
+      {
+        mode: alertMode,
+        multiplier: baselineMultiplier,
+        zScore: baselineZScore,
+        minSamples: baselineMinSamples,
+        rearmRatio,
+        escalationTiers,
+      }
+    );
+    if (rearmed) state.alertTiers.delete(definition.id);
+    if (!alert) {
       return;
     }
 
-    ws = new WebSocket(url);
-
-    ws.on('open', () => {
-      const connectionInfo = {
-        worker: type.toUpperCase(),
-        status: 'Connected',
-        symbolCount: trackedSymbols.length,
-        threshold: `$${volumeThresholdUsd.toLocaleString()}`,
-      };
-      console.log(`✅ ${type.toUpperCase()} WEBSOCKET CONNECTED | ${JSON.stringify(connectionInfo)}`);
-      reconnectAttempts = 0;
+    // Cooldown and tier are recorded before delivery, so trades arriving while
+    // it is in flight already see them. Escalations keep the original cooldown
+    // so they cannot postpone the next regular alert
+    if (!alert.escalation) state.lastBroadcastAt.set(definition.id, now);
+    state.alertTiers.set(definition.id, alert.tier);
+
+    const details = {
+      exchange: adapter.exchange,
+      window: definition.id,
+      windowMinutes: definition.windowMs / 60_000,
+      ...window.getFlow(),
+      ...alert,
+      thresholdUsd,
+    };
+    
+    // Delivered by the digest, individually or merged with other symbols
+    await digest.add({
+      symbol,
+      volumeUsd: sum,
+      details,
+      at: now,
+      cooldownMs,
+      cooldownStartedAt: state.lastBroadcastAt.get(definition.id),
     });
+  }
 
-    ws.on('message', async (message) => {
-      const parsed = parseTradeMessage(message, log);
-      if (!parsed) return;
-      await handleTrade(parsed.symbol, parsed.tradeTime, parsed.quoteUsd);
-    });
+  /**
+   * Hands one alert to the replay `sink`, or to every notification sink whose
+   * filter matches. Each failed sink is retried from the queue on its own, so
+   * the others never get the alert twice. Cooldowns are already set by then:
+   * a failing sink does not cause repeat alerts. Standby instances stop
+   * here, after cooldowns are set, so a takeover does not resend old alerts.
+   *
+   * Every push takes a slot from the shared `pushLimiter`. Volume alerts and
+   * digests are `budgeted`: the digest already held or merged them to fit.
+   * Flow and futures signal alerts have nowhere to wait and are dropped once
+   * the budget is used up.
+   */
+  async function deliverAlert(fields, logFields, { budgeted = false } = {}) {
+    // Retries reuse the same object, so every attempt carries the same ID
+    const alert = { id: buildAlertId(fields), ...fields };
+    if (!sink && !isLeader()) {
+      log.debug('alert.standby_skipped', { ...logFields, alertId: alert.id });
+      return;
+    }
+    const now = clock();
+    if (!budgeted && !pushLimiter.available(now)) {
+      metrics.alertsRateLimited.inc({ market: type, alert: alert.alert });
+      log.warn('alert.rate_limited', { ...logFields, alertId: alert.id, maxPerMinute: pushLimiter.maxPerMinute });
+      return;
+    }
+    pushLimiter.take(now);
+    if (sink) {
+      try {
+        await timedBroadcast(alert.alert, 'replay', () => sink(alert));
+      } catch (error) {
+        log.error('alert.failed', { ...logFields, error });
+      }
+      return;
+    }
 
-    ws.on('close', (code, reason) => {
-      if (closedByUser) return;
-      scheduleReconnect();
+    const failures = await notifier.notify(alert, {
+      log,
+      timed: (sinkName, send) => timedBroadcast(alert.alert, sinkName, send),
     });
+    for (const { sink: sinkName, error } of failures) {
+      log.error('alert.failed', { ...logFields, sink: sinkName, error });
+      if (retryQueue) {
+        retryQueue.enqueue({ type, sink: sinkName, symbol: alert.symbol, alert }, error);
+      }
+    }
+  }
 
-    ws.on('error', (error) => {
-      log.error('Binance WebSocket error', { error });
-      ws.terminate();
-    });
+  async function sendVolumeAlert({ symbol, volumeUsd, details, at, cooldownMs, cooldownStartedAt }) {
+    await deliverAlert(
+      { alert: 'volume', market: type, symbol, at, cooldownMs, cooldownStartedAt, volumeUsd, details },
+      { alert: 'volume', symbol: symbol.toUpperCase(), window: details.window },
+      { budgeted: true }
+    );
   }
 
-  function scheduleReconnect() {
-    reconnectAttempts += 1;
-    const delay = Math.min(
-      DEFAULT_WS_RETRY_MS * 2 ** (reconnectAttempts - 1),
-      MAX_WS_RETRY_MS
+  async function sendVolumeDigest(merged) {
+    const summary = { exchange: adapter.exchange, ...merged };
+    await deliverAlert(
+      { alert: 'digest', market: type, at: summary.lastTriggeredAt, volumeUsd: summary.totalVolumeUsd, details: summary },
+      { alert: 'digest', symbols: summary.symbolCount },
+      { budgeted: true }
     );
+  }
 
-    setTimeout(connect, delay);
+  async function sendFuturesSignal(alert, symbol, signal, at, cooldownMs) {
+    const details = { exchange: adapter.exchange, ...signal };
+    await deliverAlert({ alert, market: type, symbol, at, cooldownMs, details }, { alert, symbol: symbol.toUpperCase() });
   }
 
-  // Fetch symbols at startup, then periodically (default: once per week)
-  try {
+  // Liquidation clusters, extreme funding and open-interest jumps (futures only).
+  // The default open-interest URL is Binance's: other exchanges' symbols would be polled there
+  const openInterestUrl = signalConfig.openInterest && signalConfig.openInterest.url;
+  const openInterestSupported = adapter.exchange === 'binance' || (openInterestUrl && openInterestUrl !== DEFAULT_OPEN_INTEREST_URL);
+  const signals = type === 'futures'
+    ? createFuturesSignals({
+      log,
+      send: sendFuturesSignal,
+      createWindow: (windowMs) => createFlowWindow(windowMs),
+      isTracked: (symbol) => {
+        if (!trackedSet.has(symbol)) return false;
+        const rules = getSymbolRules(symbol);
+        return rules.enabled && !rules.muted;
+      },
+      getSymbols: () => trackedSymbols,
+      fetchOpenInterest: openInterestUrl && openInterestSupported
+        ? (symbol) => fetchOpenInterest(openInterestUrl, symbol)
+        : undefined,
+      toUsd: (symbol, amount) => usdRates.toUsd(symbol, amount, clock()),
+      clock,
+      timers: connect,
+      ...signalConfig,
+    })
+    : undefined;
+
+  const digest = createAlertDigest({
+    send: sendVolumeAlert,
+    sendDigest: sendVolumeDigest,
+    log,
+    limiter: pushLimiter,
+    clock,
+    timers: connect,
+    windowMs: digestConfig.windowMs ?? DEFAULT_ALERT_DIGEST_WINDOW_MS,
+    minSymbols: digestConfig.minSymbols || DEFAULT_ALERT_DIGEST_MIN_SYMBOLS,
+    topMovers: digestConfig.topMovers || DEFAULT_ALERT_DIGEST_TOP_MOVERS,
+  });
+
+  // quote asset -> { trades, loggedAt }: one warning per asset and interval, not per trade
+  const unpricedTrades = new Map();
+
+  function dropUnpricedTrade(symbol) {
+    metrics.tradesDropped.inc({ market: type, reason: 'no_usd_rate' });
+    const parts = splitSymbol(symbol);
+    const quote = parts ? parts.quote : 'unknown';
+    const entry = unpricedTrades.get(quote) || { trades: 0, loggedAt: 0 };
+    entry.trades += 1;
+    unpricedTrades.set(quote, entry);
+
+    const now = Date.now();
+    if (now - entry.loggedAt < DROPPED_TRADE_LOG_INTERVAL_MS) return;
+    log.warn('trade.dropped_no_usd_rate', { quote: quote.toUpperCase(), symbol: symbol.toUpperCase(), trades: entry.trades });
+    entry.trades = 0;
+    entry.loggedAt = now;
+  }
+
+  async function handleStreamTrade(parsed) {
+    // Better no trade than one counted at a wrong or stale conversion rate
+    const quoteUsd = usdRates.toUsd(parsed.symbol, parsed.quoteAmount, clock());
+    if (quoteUsd === undefined) {
+      dropUnpricedTrade(parsed.symbol);
+      return;
+    }
+    metrics.tradesProcessed.inc({ market: type });
+    if (recorder) {
+      recorder.record({
+        exchange: adapter.exchange,
+        market: type,
+        symbol: parsed.symbol,
+        time: parsed.tradeTime,
+        price: parsed.price,
+        qty: parsed.qty,
+        quoteUsd,
+        side: parsed.side,
+        tradeId: parsed.tradeId,
+      });
+    }
+    await handleTrade(parsed.symbol, parsed.tradeTime, quoteUsd, parsed.side);
+  }
+
+  // Market-wide liquidation and mark price streams, when the exchange offers them
+  const signalStreams = signals && signals.needsStreams && adapter.derivativeStreams
+    ? createStreamPool({
+      adapter,
+      log: log.child({ component: 'futures_signals' }),
+      shardSize: streamsPerConnection,
+      wsBaseUrl,
+      staleMs: streamStaleMs,
+      onEvents: (events) => {
+        signals.handleEvents(events).catch((error) => log.error('futures_signals.failed', { error }));
+      },
+    })
+    : undefined;
+  if (signals && signals.needsStreams && !adapter.derivativeStreams) {
+    log.warn('futures_signals.unsupported', { reason: 'no liquidation / mark price streams for this exchange' });
+  }
+  if (signals && signalConfig.openInterest && signalConfig.openInterest.jumpPct > 0 && !openInterestSupported) {
+    log.warn('futures_signals.unsupported', { signal: 'open_interest', reason: 'OPEN_INTEREST_URL points at Binance; set one for this exchange' });
+  }
+
+  const streams = createStreamPool({
+    adapter,
+    log,
+    shardSize: streamsPerConnection,
+    wsBaseUrl,
+    staleMs: streamStaleMs,
+    onOpen: (shard) => {
+      log.info('ws.connected', {
+        shard: shard.id,
+        symbolCount: shard.symbols.length,
+        thresholdUsd: volumeThresholdUsd,
+        windows: windowDefs.map((d) => d.id),
+      });
+      metrics.wsConnects.inc({ market: type });
+    },
+    onReconnect: () => metrics.wsReconnects.inc({ market: type }),
+    onStale: () => metrics.wsStale.inc({ market: type }),
+    onParseFailure: () => metrics.parseFailures.inc({ market: type }),
+    onTrades: async (trades) => {
+      for (const trade of trades) {
+        await handleStreamTrade(trade);
+      }
+    },
+  });
+
+  /**
+   * Live startup: restore state, load symbols, open the streams and start the
+   * refresh timers. Skipped when `connect` is false (replay drives trades
+   * through ingestTrade() instead).
+   */
+  async function startStreaming() {
+    if (alertMode !== 'absolute') {
+      scheduleBaselineSampling();
+    }
+
+    // Restore windows and cooldowns from the previous run before trades arrive
+    if (snapshotStore) {
+      await restoreSnapshot();
+      scheduleSnapshots();
+    }
+
+    // Fetch symbols at startup, then periodically (default: once per week).
+    // A failed fetch leaves the cached list (or none) and is retried on a short backoff.
     await refreshSymbols();
     scheduleSymbolRefresh();
     // Start periodic settings refresh (fallback if backend can't reach worker)
     scheduleSettingsRefresh();
-  } catch (error) {
-    // Don't throw - continue with empty symbols, will retry later
-    log.error(`[${type.toUpperCase()}] Failed to fetch symbols`, { error: error.message });
-    const errorInfo = {
-      worker: type.toUpperCase(),
-      action: 'Fetch symbols',
-      error: error.message,
-      status: 'Will retry',
-    };
-    console.log('\n⚠️  ========================================');
-    console.log(`   ${type.toUpperCase()} SYMBOL FETCH FAILED`);
-    console.log('========================================');
-    console.log(JSON.stringify(errorInfo, null, 2));
-    console.log('========================================\n');
-  }
-
-  // Log tracked symbols (only on initial load)
-  if (trackedSymbols.length > 0) {
-    const symbolsInfo = {
-      worker: type.toUpperCase(),
-      total: trackedSymbols.length,
-      symbols: trackedSymbols.slice(0, 20),
-      ...(trackedSymbols.length > 20 && { note: `... and ${trackedSymbols.length - 20} more` }),
-    };
-    console.log(`📊 ${type.toUpperCase()} SYMBOLS LOADED | ${JSON.stringify(symbolsInfo)}`);
-  } else {
-    const noSymbolsInfo = {
-      worker: type.toUpperCase(),
-      status: 'No symbols available',
-      action: 'Will retry',
-    };
-    console.log(`⚠️  ${type.toUpperCase()} NO SYMBOLS | ${JSON.stringify(noSymbolsInfo)}`);
+
+    // Log tracked symbols (only on initial load)
+    if (trackedSymbols.length > 0) {
+      log.info('symbols.loaded', {
+        total: trackedSymbols.length,
+        symbols: trackedSymbols.slice(0, 20),
+      });
+    } else {
+      log.warn('symbols.empty', { action: 'will retry' });
+    }
+
+    // Start WebSocket connections (one per shard)
+    if (!streams.isRunning() && trackedSymbols.length > 0) {
+      streams.setSymbols(trackedSymbols);
+    }
+    if (signalStreams) signalStreams.setSymbols(adapter.derivativeStreams);
+    if (signals) signals.start();
+    if (trackedSymbols.length > 0) {
+      log.info('ws.connecting', { symbolCount: trackedSymbols.length, shards: streams.getStatus().length });
+    } else {
+      log.warn('ws.not_started', { reason: 'no symbols available' });
+    }
   }
 
-  // Start WebSocket connection
-  if (!ws && trackedSymbols.length > 0) {
-    connect();
-    const wsInfo = {
-      worker: type.toUpperCase(),
-      status: 'Connecting',
-      symbolCount: trackedSymbols.length,
-    };
-    console.log(`🔌 ${type.toUpperCase()} WEBSOCKET INITIATED | ${JSON.stringify(wsInfo)}`);
-  } else if (!trackedSymbols.length) {
-    const wsInfo = {
-      worker: type.toUpperCase(),
-      status: 'Not started',
-      reason: 'No symbols available',
+  if (connect) {
+    await startStreaming();
+  }
+
+  /**
+   * Read-only snapshot of the worker's live state for /status: per-symbol
+   * window sums against their effective threshold and cooldown, plus
+   * connection and settings info.
+   */
+  function getState() {
+    const now = clock();
+
+    const symbols = trackedSymbols.map((symbol) => {
+      const rules = getSymbolRules(symbol);
+      const state = symbolStates.get(symbol);
+
+      const windows = windowDefs.map((definition) => {
+        const { thresholdUsd, cooldownMs } = getWindowRules(definition, rules);
+        const window = state && state.windows.get(definition.id);
+        if (window) window.prune(now);
+
+        const flow = window ? window.getFlow() : { buyVolumeUsd: 0, sellVolumeUsd: 0 };
+        const volumeUsd = flow.buyVolumeUsd + flow.sellVolumeUsd;
+        const lastAlertAt = state ? state.lastBroadcastAt.get(definition.id) : undefined;
+        const alertTier = state ? state.alertTiers.get(definition.id) : undefined;
+
+        return {
+          window: definition.id,
+          volumeUsd,
+          buyVolumeUsd: flow.buyVolumeUsd,
+          sellVolumeUsd: flow.sellVolumeUsd,
+          thresholdUsd,
+          percentOfThreshold: thresholdUsd ? Math.round((volumeUsd / thresholdUsd) * 10_000) / 100 : null,
+          lastAlertAt: lastAlertAt ? new Date(lastAlertAt).toISOString() : null,
+          msSinceLastAlert: lastAlertAt ? now - lastAlertAt : null,
+          cooldownRemainingMs: lastAlertAt ? Math.max(0, cooldownMs - (now - lastAlertAt)) : 0,
+          alertTier: alertTier ?? null,
+          armed: !alertTier,
+        };
+      });
+
+      return { symbol, enabled: rules.enabled, muted: rules.muted, windows };
+    });
+
+    return {
+      market: type,
+      alertMode,
+      thresholdUsd: volumeThresholdUsd,
+      cooldownMs: notificationCooldownMs,
+      settingsUpdatedAt: lastSettingsUpdatedAt,
+      connections: streams.getStatus(),
+      symbols,
     };
-    console.log(`⚠️  ${type.toUpperCase()} WEBSOCKET NOT STARTED | ${JSON.stringify(wsInfo)}`);
   }
 
-  // Return control object with stop and refreshSettings methods
+  // Return control object with stop, refreshSettings and status methods
   return {
-    stop: () => {
-      closedByUser = true;
-      if (ws) ws.close();
+    stop: async () => {
+      clearTimeout(baselineTimer);
+      clearTimeout(snapshotTimer);
+      clearTimeout(symbolRefreshTimer);
+      clearTimeout(settingsRefreshTimer);
+      streams.stop();
+      if (signalStreams) signalStreams.stop();
+      if (signals) signals.stop();
+      // Deliver alerts still waiting in the digest window
+      await digest.stop();
+      await persistSnapshot();
     },
     refreshSettings: refreshVolumeSettings,
+    // Feeds one parsed trade ({ symbol, tradeTime, quoteUsd, side }) through the alert rules
+    ingestTrade: (trade) => handleTrade(trade.symbol, trade.tradeTime, trade.quoteUsd, trade.side),
+    getConnectionStatus: streams.getStatus,
+    getDigestStatus: digest.getStatus,
+    getSignalStatus: () => (signals ? {
+      ...signals.getStatus(),
+      connections: signalStreams ? signalStreams.getStatus() : [],
+    } : null),
+    getState,
+    getSymbolStatus: () => ({
+      ...symbolStatus,
+      fetchedAt: symbolStatus.fetchedAt ? new Date(symbolStatus.fetchedAt).toISOString() : null,
+      sourceSymbols: sourceSymbols.length,
+      trackedSymbols: trackedSymbols.length,
+      unsupportedSymbols: streams.getUnsupportedSymbols(),
+    }),
+    // Current API-overridable values and where each one came from
+    getSettings: () => ({
+      updatedAt: lastSettingsUpdatedAt,
+      volumeThresholdUsd: { value: volumeThresholdUsd, source: sources.volumeThresholdUsd },
+      alertMode: { value: alertMode, source: sources.alertMode },
+      baselineMultiplier: { value: baselineMultiplier, source: sources.baselineMultiplier },
+      windows: { value: windowDefs, source: sources.windows },
+      symbolOverrides: { value: symbolOverrides.size, source: symbolOverrides.size ? 'API' : 'default' },
+      symbolRules: { value: symbolFilter.rules, source: sources.symbolRules },
+    }),
+    getSummary: () => ({
+      trackedSymbols: trackedSymbols.length,
+      thresholds: windowDefs.map((d) => ({
+        window: d.id,
+        thresholdUsd: d.thresholdUsd ?? volumeThresholdUsd,
+      })),
+    }),
   };
 }
 
+/**
+ * Environment configuration, validated as a whole by loadConfig() at startup.
+ * Durations accept `900000`, `30s`, `15m`, `1h`; amounts accept `400000`, `400k`, `1.5m`.
+ */
+const CONFIG_SCHEMA = {
+  baseUrl: { env: 'VERCEL_BASE_URL', type: 'url', required: true },
+  workerApiToken: { env: 'WORKER_API_TOKEN', required: true, secret: true },
+  pushTriggerToken: { env: 'ALERT_TRIGGER_TOKEN', required: true, secret: true },
+  // Optional shared secret; backend pushes are HMAC-signed with it (see ./alert-signing)
+  alertSigningSecret: { env: 'ALERT_SIGNING_SECRET', secret: true },
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65_535, default: 8080 },
+  logLevel: { env: 'LOG_LEVEL', values: LEVELS, default: 'info' },
+  logFormat: { env: 'LOG_FORMAT', values: LOG_FORMATS, default: 'json' },
+  symbols: { env: 'BINANCE_SYMBOLS', parse: parseSymbols, default: [] },
+  symbolSource: { env: 'SYMBOL_SOURCE', values: SYMBOL_SOURCES, default: 'backend' },
+  spotDiscoveryUrl: { env: 'SPOT_DISCOVERY_URL', type: 'url', default: DEFAULT_DISCOVERY_URLS.spot },
+  futuresDiscoveryUrl: { env: 'FUTURES_DISCOVERY_URL', type: 'url', default: DEFAULT_DISCOVERY_URLS.futures },
+  discoveryMinVolumeUsd: { env: 'DISCOVERY_MIN_VOLUME_USD', type: 'amount', min: 0, default: 0 },
+  excludedSymbols: { env: 'EXCLUDED_SYMBOLS', parse: parseSymbolList, default: [] },
+  symbolIncludePatterns: { env: 'SYMBOL_INCLUDE_PATTERNS', parse: parseSymbolList, default: [] },
+  symbolExcludePatterns: { env: 'SYMBOL_EXCLUDE_PATTERNS', parse: parseSymbolList, default: [] },
+  symbolCacheDir: { env: 'SYMBOL_CACHE_DIR', default: (values) => values.snapshotDir || DEFAULT_SYMBOL_CACHE_DIR },
+  exchange: { env: 'EXCHANGE', values: EXCHANGES, default: 'binance' },
+  // Kept under its original name; overrides the WebSocket URL of whichever exchange is selected
+  wsBaseUrl: { env: 'BINANCE_WS_URL', type: 'url' },
+  streamsPerConnection: {
+    env: 'BINANCE_STREAMS_PER_CONNECTION', type: 'integer', min: 1, max: 1024, default: DEFAULT_STREAMS_PER_CONNECTION,
+  },
+  quoteAssets: { env: 'QUOTE_ASSETS', parse: parseQuoteAssets, default: QUOTE_ASSETS },
+  usdRateMaxAgeMs: { env: 'USD_RATE_MAX_AGE', type: 'duration', min: 10_000, default: DEFAULT_USD_RATE_MAX_AGE_MS },
+  streamStaleMs: { env: 'STREAM_STALE_MS', type: 'duration', min: 10_000, default: DEFAULT_STREAM_STALE_MS },
+  unhealthyExitMs: { env: 'UNHEALTHY_EXIT_MS', type: 'duration', min: 0, default: DEFAULT_UNHEALTHY_EXIT_MS },
+  symbolRefreshMs: { env: 'SYMBOL_REFRESH_INTERVAL_MS', type: 'duration', min: 60_000, default: DEFAULT_SYMBOL_REFRESH_MS },
+  settingsRefreshMs: {
+    env: 'SETTINGS_REFRESH_INTERVAL_MS', type: 'duration', min: 10_000, default: DEFAULT_SETTINGS_REFRESH_MS,
+  },
+  volumeWindowMs: {
+    env: 'VOLUME_WINDOW_MS', type: 'duration', min: DEFAULT_WINDOW_BUCKET_MS, default: DEFAULT_VOLUME_WINDOW_MS,
+  },
+  volumeThresholdUsd: { env: 'VOLUME_THRESHOLD_USD', type: 'amount', min: 1, default: DEFAULT_VOLUME_THRESHOLD_USD },
+  futuresVolumeThresholdUsd: {
+    env: 'FUTURES_VOLUME_THRESHOLD_USD', type: 'amount', min: 1, default: DEFAULT_FUTURES_VOLUME_THRESHOLD_USD,
+  },
+  notificationCooldownMs: {
+    env: 'VOLUME_NOTIFICATION_COOLDOWN_MS', type: 'duration', min: 0, default: DEFAULT_NOTIFICATION_COOLDOWN_MS,
+  },
+  alertRearmPct: { env: 'ALERT_REARM_PCT', type: 'number', min: 0, max: 100, default: DEFAULT_ALERT_REARM_PCT },
+  escalationTiers: { env: 'ALERT_ESCALATION_TIERS', parse: parseEscalationTiers, default: DEFAULT_ESCALATION_TIERS },
+  // e.g. VOLUME_WINDOWS=1m:150k:1m,5m,15m,1h:1.5m; SPOT_/FUTURES_ variants override per market
+  volumeWindows: { env: 'VOLUME_WINDOWS', parse: parseWindowList, default: [] },
+  spotVolumeWindows: { env: 'SPOT_VOLUME_WINDOWS', parse: parseWindowList, default: (values) => values.volumeWindows },
+  futuresVolumeWindows: {
+    env: 'FUTURES_VOLUME_WINDOWS', parse: parseWindowList, default: (values) => values.volumeWindows,
+  },
+  flowNetThresholdUsd: { env: 'FLOW_NET_THRESHOLD_USD', type: 'amount', min: 0, default: 0 },
+  flowBuyRatioPct: { env: 'FLOW_BUY_RATIO_PCT', type: 'number', min: 50, max: 100 },
+  flowMinVolumeUsd: { env: 'FLOW_MIN_VOLUME_USD', type: 'amount', min: 0, default: DEFAULT_FLOW_MIN_VOLUME_USD },
+  alertMode: { env: 'VOLUME_ALERT_MODE', values: ALERT_MODES, default: 'absolute' },
+  baselineMultiplier: { env: 'BASELINE_MULTIPLIER', type: 'number', min: 1, default: DEFAULT_BASELINE_MULTIPLIER },
+  baselineZScore: { env: 'BASELINE_ZSCORE', type: 'number', min: 0, default: 0 },
+  baselineHistoryMs: {
+    env: 'BASELINE_HISTORY_MS', type: 'duration', min: 60_000, default: DEFAULT_BASELINE_HISTORY_MS,
+  },
+  baselineMinSamples: { env: 'BASELINE_MIN_SAMPLES', type: 'integer', min: 1, default: DEFAULT_BASELINE_MIN_SAMPLES },
+  snapshotDir: { env: 'STATE_SNAPSHOT_DIR' },
+  snapshotIntervalMs: {
+    env: 'STATE_SNAPSHOT_INTERVAL_MS', type: 'duration', min: 1_000, default: DEFAULT_SNAPSHOT_INTERVAL_MS,
+  },
+  pushRetryDir: { env: 'PUSH_RETRY_DIR', default: (values) => values.snapshotDir || DEFAULT_PUSH_RETRY_DIR },
+  pushRetryMaxAgeMs: {
+    env: 'PUSH_RETRY_MAX_AGE_MS', type: 'duration', min: 60_000, default: DEFAULT_PUSH_RETRY_MAX_AGE_MS,
+  },
+  // Multi-instance coordination: only the leaseholder sends alerts (off = always send)
+  leaderLease: { env: 'LEADER_LEASE', values: LEASE_BACKENDS, default: 'off' },
+  leaderLeaseFile: {
+    env: 'LEADER_LEASE_FILE',
+    default: (values) => path.join(values.snapshotDir || DEFAULT_LEASE_DIR, 'leader-lease.json'),
+  },
+  leaderLeaseUrl: { env: 'LEADER_LEASE_URL', type: 'url', secret: true },
+  leaderLeaseKey: { env: 'LEADER_LEASE_KEY', default: DEFAULT_LEASE_KEY },
+  leaderLeaseTtlMs: { env: 'LEADER_LEASE_TTL', type: 'duration', min: 5_000, default: DEFAULT_LEASE_TTL_MS },
+  // JSON list of extra alert destinations (webhook, telegram, discord), see parseSinkConfigs
+  notificationSinks: { env: 'NOTIFICATION_SINKS', parse: parseSinkConfigs, secret: true, default: [] },
+  digestWindowMs: { env: 'ALERT_DIGEST_WINDOW', type: 'duration', min: 0, default: DEFAULT_ALERT_DIGEST_WINDOW_MS },
+  digestMinSymbols: { env: 'ALERT_DIGEST_MIN_SYMBOLS', type: 'integer', min: 1, default: DEFAULT_ALERT_DIGEST_MIN_SYMBOLS },
+  digestTopMovers: { env: 'ALERT_DIGEST_TOP_MOVERS', type: 'integer', min: 1, default: DEFAULT_ALERT_DIGEST_TOP_MOVERS },
+  maxPushesPerMinute: { env: 'MAX_PUSHES_PER_MINUTE', type: 'integer', min: 0, default: DEFAULT_MAX_PUSHES_PER_MINUTE },
+  // Futures-only alert types; each is off until its threshold is set
+  liquidationThresholdUsd: { env: 'LIQUIDATION_THRESHOLD_USD', type: 'amount', min: 0, default: 0 },
+  liquidationWindowMs: { env: 'LIQUIDATION_WINDOW', type: 'duration', min: 10_000, default: 5 * 60_000 },
+  liquidationCooldownMs: { env: 'LIQUIDATION_COOLDOWN', type: 'duration', min: 0, default: 15 * 60_000 },
+  fundingRateThresholdPct: { env: 'FUNDING_RATE_THRESHOLD_PCT', type: 'number', min: 0, default: 0 },
+  fundingRateCooldownMs: { env: 'FUNDING_RATE_COOLDOWN', type: 'duration', min: 0, default: 60 * 60_000 },
+  openInterestJumpPct: { env: 'OPEN_INTEREST_JUMP_PCT', type: 'number', min: 0, default: 0 },
+  openInterestUrl: { env: 'OPEN_INTEREST_URL', type: 'url', default: DEFAULT_OPEN_INTEREST_URL },
+  openInterestPollMs: { env: 'OPEN_INTEREST_POLL_INTERVAL', type: 'duration', min: 30_000, default: 5 * 60_000 },
+  openInterestWindowMs: { env: 'OPEN_INTEREST_WINDOW', type: 'duration', min: 60_000, default: 60 * 60_000 },
+  openInterestMinUsd: { env: 'OPEN_INTEREST_MIN_USD', type: 'amount', min: 0, default: 0 },
+  openInterestCooldownMs: { env: 'OPEN_INTEREST_COOLDOWN', type: 'duration', min: 0, default: 60 * 60_000 },
+  tradeRecordDir: { env: 'TRADE_RECORD_DIR' },
+  tradeRecordMaxFileBytes: {
+    env: 'TRADE_RECORD_MAX_FILE_BYTES', type: 'bytes', min: 1024 * 1024, default: DEFAULT_TRADE_RECORD_MAX_FILE_BYTES,
+  },
+  tradeRecordMaxTotalBytes: {
+    env: 'TRADE_RECORD_MAX_TOTAL_BYTES', type: 'bytes', min: 1024 * 1024, default: DEFAULT_TRADE_RECORD_MAX_TOTAL_BYTES,
+  },
+  tradeRecordRetentionMs: {
+    env: 'TRADE_RECORD_RETENTION', type: 'duration', min: 60 * 60_000, default: DEFAULT_TRADE_RECORD_RETENTION_MS,
+  },
+  tradeRecordBufferTrades: {
+    env: 'TRADE_RECORD_BUFFER_TRADES', type: 'integer', min: 1_000, default: DEFAULT_TRADE_RECORD_BUFFER_TRADES,
+  },
+};
+
 async function main() {
-  const baseUrl = assertEnv('VERCEL_BASE_URL');
-  const workerApiToken = assertEnv('WORKER_API_TOKEN');
-  const pushTriggerToken = assertEnv('ALERT_TRIGGER_TOKEN');
+  let config;
+  try {
+    config = loadConfig(CONFIG_SCHEMA);
+  } catch (error) {
+    if (!error.errors) throw error;
+    // Report every invalid value at once instead of silently using defaults
+    createLogger('error', { format: process.env.LOG_FORMAT }).error('config.invalid', { errors: error.errors });
+    process.exit(1);
+  }
 
-  const logLevel = assertEnv('LOG_LEVEL', true) || 'info';
-  const symbolRefreshMs =
-    Number(assertEnv('SYMBOL_REFRESH_INTERVAL_MS', true)) || DEFAULT_SYMBOL_REFRESH_MS;
+  const {
+    baseUrl,
+    workerApiToken,
+    pushTriggerToken,
+    port,
+    symbolRefreshMs,
+    settingsRefreshMs,
+    volumeWindowMs,
+    volumeThresholdUsd,
+    futuresVolumeThresholdUsd,
+    notificationCooldownMs,
+    streamsPerConnection,
+    streamStaleMs,
+    snapshotIntervalMs,
+  } = config.values;
+
+  // Optional taker buy/sell imbalance alerts (disabled unless a limit is set)
+  const flowAlerts = {
+    netFlowThresholdUsd: config.values.flowNetThresholdUsd,
+    buyRatioThreshold: (config.values.flowBuyRatioPct || 0) / 100,
+    minVolumeUsd: config.values.flowMinVolumeUsd,
+  };
 
-  const volumeWindowMs =
-    Number(assertEnv('VOLUME_WINDOW_MS', true)) || DEFAULT_VOLUME_WINDOW_MS;
+  // Surge digest and push cap; one limiter so the cap covers spot and futures together
+  const digestConfig = {
+    windowMs: config.values.digestWindowMs,
+    minSymbols: config.values.digestMinSymbols,
+    topMovers: config.values.digestTopMovers,
+  };
+  const pushLimiter = createPushLimiter({ maxPerMinute: config.values.maxPushesPerMinute });
 
-  const volumeThresholdUsd =
-    Number(assertEnv('VOLUME_THRESHOLD_USD', true)) || DEFAULT_VOLUME_THRESHOLD_USD;
+  // Symbol source and filter; the settings endpoint can add exclusions and patterns
+  const symbolRules = {
+    excludedSymbols: config.values.excludedSymbols,
+    includePatterns: config.values.symbolIncludePatterns,
+    excludePatterns: config.values.symbolExcludePatterns,
+  };
+  const symbolCache = createFileSnapshotStore(config.values.symbolCacheDir);
 
-  const futuresVolumeThresholdUsd =
-    Number(assertEnv('FUTURES_VOLUME_THRESHOLD_USD', true)) || DEFAULT_FUTURES_VOLUME_THRESHOLD_USD;
+  const futuresSignals = {
+    liquidation: {
+      thresholdUsd: config.values.liquidationThresholdUsd,
+      windowMs: config.values.liquidationWindowMs,
+      cooldownMs: config.values.liquidationCooldownMs,
+    },
+    funding: {
+      thresholdPct: config.values.fundingRateThresholdPct,
+      cooldownMs: config.values.fundingRateCooldownMs,
+    },
+    openInterest: {
+      url: config.values.openInterestUrl,
+      jumpPct: config.values.openInterestJumpPct,
+      pollMs: config.values.openInterestPollMs,
+      windowMs: config.values.openInterestWindowMs,
+      minUsd: config.values.openInterestMinUsd,
+      cooldownMs: config.values.openInterestCooldownMs,
+    },
+  };
 
-  const notificationCooldownMs =
-    Number(assertEnv('VOLUME_NOTIFICATION_COOLDOWN_MS', true)) ||
-    DEFAULT_NOTIFICATION_COOLDOWN_MS;
+  // Relative spike detection against each symbol's own trailing volume
+  const baselineConfig = {
+    mode: config.values.alertMode,
+    multiplier: config.values.baselineMultiplier,
+    zScore: config.values.baselineZScore,
+    historyMs: config.values.baselineHistoryMs,
+    minSamples: config.values.baselineMinSamples,
+  };
 
-  const port = Number(process.env.PORT) || 8080;
-  const log = createLogger(logLevel);
+  // Optional state snapshots so windows and cooldowns survive restarts
+  const { snapshotDir } = config.values;
+  const snapshotStore = snapshotDir ? createFileSnapshotStore(snapshotDir) : undefined;
+
+  // Failed volume pushes are retried from a file-backed queue, then dead-lettered
+  const retryDir = config.values.pushRetryDir;
+  const retryMaxAgeMs = config.values.pushRetryMaxAgeMs;
+
+  const log = createLogger(config.values.logLevel, { format: config.values.logFormat });
+  const metrics = createWorkerMetrics();
+
+  // Backend push plus any webhook / Telegram / Discord sinks, shared by both workers
+  const sinkConfigs = config.values.notificationSinks;
+  const { alertSigningSecret: signingSecret } = config.values;
+  const sinks = sinkConfigs.map((sinkConfig) => (sinkConfig.type === 'backend'
+    ? createBackendSink(baseUrl, pushTriggerToken, { ...sinkConfig, signingSecret })
+    : createNotificationSink(sinkConfig)));
+  if (!sinkConfigs.some((sinkConfig) => sinkConfig.type === 'backend')) {
+    sinks.unshift(createBackendSink(baseUrl, pushTriggerToken, { signingSecret }));
+  }
+  const notifier = createNotifier({ sinks });
+
+  const retryQueue = createRetryQueue({
+    file: path.join(retryDir, 'push-retry-queue.json'),
+    deadLetterFile: path.join(retryDir, 'push-dead-letter.ndjson'),
+    maxAgeMs: retryMaxAgeMs,
+    log: log.child({ component: 'push_retry' }),
+    send: async (job) => {
+      const { alert, sink: sinkName } = job;
+      const labels = { market: job.type, alert: `${alert.alert}_retry`, sink: sinkName };
+      const stopTimer = metrics.broadcastDuration.startTimer(labels);
+      const jobLog = log.child({ worker: job.type, component: 'push_retry' });
+      try {
+        await notifier.sendTo(sinkName, alert, { log: jobLog });
+        metrics.alertsSent.inc(labels);
+      } catch (error) {
+        metrics.alertsFailed.inc(labels);
+        throw error;
+      } finally {
+        stopTimer();
+      }
+    },
+  });
+  await retryQueue.load();
+
+  // With several machines running, only the leaseholder sends alerts and works
+  // the retry queue; standbys keep their windows warm to take over at once.
+  const leaseBackend = config.values.leaderLease;
+  const election = leaseBackend === 'off'
+    ? undefined
+    : createLeaderElection({
+      store: createLeaseStore(leaseBackend, {
+        file: config.values.leaderLeaseFile,
+        url: config.values.leaderLeaseUrl,
+        token: workerApiToken,
+        key: config.values.leaderLeaseKey,
+      }),
+      backend: leaseBackend,
+      holderId: `${process.env.FLY_MACHINE_ID || os.hostname()}:${process.pid}`,
+      ttlMs: config.values.leaderLeaseTtlMs,
+      log: log.child({ component: 'leader' }),
+      onChange: (role) => (role === 'leader' ? retryQueue.start() : retryQueue.stop()),
+    });
+  const isLeader = () => !election || election.isLeader();
+  if (election) await election.start();
+  else retryQueue.start();
+
+  // Optional capture of every parsed trade for later replay
+  const recorder = config.values.tradeRecordDir
+    ? createTradeRecorder({
+      dir: config.values.tradeRecordDir,
+      log: log.child({ component: 'recorder' }),
+      maxFileBytes: config.values.tradeRecordMaxFileBytes,
+      maxTotalBytes: config.values.tradeRecordMaxTotalBytes,
+      retentionMs: config.values.tradeRecordRetentionMs,
+      maxBufferedTrades: config.values.tradeRecordBufferTrades,
+    })
+    : undefined;
+  if (recorder) await recorder.start();
+
+  // USD reference prices for non-USDT quote assets, from Binance spot trade streams
+  // whichever exchange the workers follow
+  const usdRates = createUsdRates({
+    quoteAssets: config.values.quoteAssets,
+    maxAgeMs: config.values.usdRateMaxAgeMs,
+  });
+  const rateStreams = createStreamPool({
+    adapter: createExchangeAdapter('binance', 'spot'),
+    log: log.child({ component: 'usd_rates' }),
+    shardSize: DEFAULT_STREAMS_PER_CONNECTION,
+    wsBaseUrl: config.values.exchange === 'binance' ? config.values.wsBaseUrl : undefined,
+    staleMs: config.values.streamStaleMs,
+    onTrades: (trades) => {
+      for (const trade of trades) usdRates.update(trade.symbol, trade.price, trade.tradeTime);
+    },
+  });
+  rateStreams.setSymbols(usdRates.conversionSymbols());
 
   // Store worker instances for refresh endpoint
   let spotWorker = null;
   let futuresWorker = null;
 
+  function runningWorkers() {
+    return [['spot', spotWorker], ['futures', futuresWorker]].filter(([, worker]) => worker);
+  }
+
+  // Ready when both workers are up and every shard is connected and fresh.
+  function getReadiness() {
+    const connections = {
+      spot: spotWorker ? spotWorker.getConnectionStatus() : [],
+      futures: futuresWorker ? futuresWorker.getConnectionStatus() : [],
+    };
+    const unhealthy = Object.entries(connections).flatMap(([market, shards]) => shards
+      .filter((shard) => !shard.healthy)
+      .map((shard) => ({ market, shard: shard.id, status: shard.status })));
+    const started = Boolean(spotWorker && futuresWorker);
+
+    return { ready: started && unhealthy.length === 0, started, unhealthy, connections };
+  }
+
+  // Gauges read live worker state on every scrape
+  metrics.registry.gauge(
+    'oruba_volume_threshold_usd',
+    'Current absolute volume threshold per market and window.',
+    () => runningWorkers().flatMap(([market, worker]) => worker.getSummary().thresholds
+      .map(({ window, thresholdUsd }) => ({ labels: { market, window }, value: thresholdUsd })))
+  );
+  metrics.registry.gauge(
+    'oruba_tracked_symbols',
+    'Symbols currently subscribed per market.',
+    () => runningWorkers().map(([market, worker]) => ({
+      labels: { market },
+      value: worker.getSummary().trackedSymbols,
+    }))
+  );
+  metrics.registry.gauge(
+    'oruba_seconds_since_last_message',
+    'Seconds since the last message on each WebSocket connection (since connect if none yet).',
+    () => runningWorkers().flatMap(([market, worker]) => worker.getConnectionStatus().map((shard) => {
+      const last = shard.lastMessageAt || shard.connectedAt;
+      return {
+        labels: { market, shard: shard.id },
+        value: last ? (Date.now() - last) / 1000 : null,
+      };
+    }))
+  );
+  metrics.registry.gauge(
+    'oruba_push_retry_queue_depth',
+    'Failed pushes waiting to be retried.',
+    () => [{ value: retryQueue.getStatus().depth }]
+  );
+  metrics.registry.gauge(
+    'oruba_is_leader',
+    '1 while this instance holds the leader lease and sends alerts.',
+    () => [{ value: isLeader() ? 1 : 0 }]
+  );
+  metrics.registry.gauge(
+    'oruba_recorder_buffered_trades',
+    'Trades waiting to be written by the trade recorder.',
+    () => (recorder ? [{ value: recorder.getStatus().buffered }] : [])
+  );
+  metrics.registry.gauge(
+    'oruba_digest_pending_alerts',
+    'Volume alerts held by the surge digest or the push rate cap.',
+    () => runningWorkers().map(([market, worker]) => ({
+      labels: { market },
+      value: worker.getDigestStatus().pending,
+    }))
+  );
+
   const server = http.createServer((req, res) => {
     // Parse URL path (handle both absolute and relative paths)
     const urlPath = req.url?.split('?')[0] || '/';
     
-    // Log all incoming requests
-    console.log(`📥 Incoming request: ${req.method} ${urlPath}`);
+    log.debug('http.request', { method: req.method, path: urlPath });
     
-    // Health check endpoint
-    if (urlPath === '/' || urlPath === '/health') {
+    // Liveness: the process and event loop are responding
+    if (urlPath === '/health/live') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ status: 'ok', uptime: process.uptime() }));
       return;
     }
 
+    // Readiness: workers started and every stream connected and fresh
+    if (urlPath === '/health/ready') {
+      const { ready, unhealthy } = getReadiness();
+      res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: ready ? 'ready' : 'not_ready', unhealthy }));
+      return;
+    }
+
+    // Health check endpoint: 503 once any stream is stale or has been disconnected too long
+    if (urlPath === '/' || urlPath === '/health') {
+      const { started, unhealthy, connections } = getReadiness();
+      const degraded = unhealthy.length > 0;
+      res.writeHead(degraded ? 503 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: degraded ? 'degraded' : (started ? 'ok' : 'starting'),
+        exchange: config.values.exchange,
+        role: isLeader() ? 'leader' : 'standby',
+        ...(election && { lease: election.getStatus() }),
+        uptime: process.uptime(),
+        unhealthy,
+        connections,
+        pushRetryQueue: retryQueue.getStatus(),
+        ...(recorder && { recorder: recorder.getStatus() }),
+        usdRates: usdRates.getStatus(),
+        // /health is unauthenticated: sink error text stays in the logs
+        notificationSinks: notifier.getStatus().map(({ lastError, ...status }) => status),
+        symbols: Object.fromEntries(runningWorkers().map(([market, worker]) => [market, worker.getSymbolStatus()])),
+        ...(futuresWorker && { futuresSignals: futuresWorker.getSignalStatus() }),
+      }));
+      return;
+    }
+
+    // Prometheus scrape endpoint
+    if (urlPath === '/metrics' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(metrics.registry.render());
+      return;
+    }
+
+    // Live per-symbol state (requires WORKER_API_TOKEN)
+    // Query: market=spot|futures, sort=closest|symbol, limit=N, symbol=btcusdt
+    if (urlPath === '/status' && req.method === 'GET') {
+      if (!isAuthorized(req, workerApiToken)) {
+        log.warn('http.unauthorized', { path: urlPath });
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unauthorized' }));
+        return;
+      }
+
+      const query = new URL(req.url, 'http://localhost').searchParams;
+      const market = query.get('market');
+      if (market && market !== 'spot' && market !== 'futures') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'market must be spot or futures' }));
+        return;
+      }
+
+      const markets = runningWorkers()
+        .filter(([name]) => !market || name === market)
+        .map(([, worker]) => buildStatusView(worker.getState(), {
+          sort: query.get('sort') || 'closest',
+          limit: Number(query.get('limit')) || undefined,
+          symbol: query.get('symbol'),
+        }));
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ generatedAt: new Date().toISOString(), markets }));
+      return;
+    }
+
+    // Effective configuration with secrets redacted (requires WORKER_API_TOKEN)
+    if (urlPath === '/config' && req.method === 'GET') {
+      if (!isAuthorized(req, workerApiToken)) {
+        log.warn('http.unauthorized', { path: urlPath });
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unauthorized' }));
+        return;
+      }
+
+      const markets = Object.fromEntries(
+        runningWorkers().map(([name, worker]) => [name, worker.getSettings()])
+      );
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        env: describeConfig(CONFIG_SCHEMA, config),
+        markets,
+      }));
+      return;
+    }
+
     // Refresh settings endpoint (requires WORKER_API_TOKEN)
     if (urlPath === '/refresh-settings' && req.method === 'POST') {
-      console.log(`🔔 POST /refresh-settings received`);
-      const authHeader = req.headers.authorization || req.headers.Authorization;
-      const token = authHeader?.replace('Bearer ', '').trim();
-      
-      if (token !== workerApiToken) {
-        log.warn('Unauthorized settings refresh attempt');
+      if (!isAuthorized(req, workerApiToken)) {
+        log.warn('http.unauthorized', { path: urlPath });
         res.writeHead(401, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Unauthorized' }));
         return;
       }
 
-      const refreshInfo = {
-        action: 'Settings refresh',
-        triggeredBy: 'API',
-        timestamp: new Date().toISOString(),
-      };
-      console.log(`🔔 SETTINGS REFRESH TRIGGERED | ${JSON.stringify(refreshInfo)}`);
-      log.info('Settings refresh triggered via API');
-      
       // Check if workers are available
-      const spotAvailable = spotWorker && typeof spotWorker.refreshSettings === 'function';
-      const futuresAvailable = futuresWorker && typeof futuresWorker.refreshSettings === 'function';
-      
-      console.log(`📋 Worker availability check: SPOT=${spotAvailable ? 'available' : 'NOT available'}, FUTURES=${futuresAvailable ? 'available' : 'NOT available'}`);
+      const spotAvailable = Boolean(spotWorker && typeof spotWorker.refreshSettings === 'function');
+      const futuresAvailable = Boolean(futuresWorker && typeof futuresWorker.refreshSettings === 'function');
+
+      log.info('settings.refresh_triggered', { triggeredBy: 'API', spotAvailable, futuresAvailable });
       
       if (!spotAvailable && !futuresAvailable) {
-        const errorInfo = {
-          action: 'Settings refresh',
-          status: 'Failed',
-          error: 'No workers available',
-          spotAvailable,
-          futuresAvailable,
-        };
-        console.log(`❌ SETTINGS REFRESH FAILED | ${JSON.stringify(errorInfo)}`);
+        log.error('settings.refresh_failed', { reason: 'no workers available' });
         res.writeHead(500, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'No workers available' }));
         return;
@@ -715,28 +2049,17 @@ async function main() {
         futuresAvailable ? futuresWorker.refreshSettings() : Promise.resolve(),
       ])
         .then(() => {
-          const successInfo = {
-            action: 'Settings refresh',
-            status: 'Completed',
+          log.info('settings.refresh_completed', {
             workers: [
-              ...(spotAvailable ? ['SPOT'] : []),
-              ...(futuresAvailable ? ['FUTURES'] : []),
+              ...(spotAvailable ? ['spot'] : []),
+              ...(futuresAvailable ? ['futures'] : []),
             ],
-          };
-          console.log(`✅ SETTINGS REFRESH COMPLETED | ${JSON.stringify(successInfo)}`);
-          log.info('Settings refresh completed successfully');
+          });
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ success: true, message: 'Settings refresh triggered' }));
         })
         .catch((error) => {
-          const errorInfo = {
-            action: 'Settings refresh',
-            status: 'Failed',
-            error: error.message,
-            stack: error.stack,
-          };
-          console.log(`❌ SETTINGS REFRESH FAILED | ${JSON.stringify(errorInfo)}`);
-          log.error('Failed to refresh settings', { error });
+          log.error('settings.refresh_failed', { error });
           res.writeHead(500, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: 'Failed to refresh settings' }));
         });
@@ -750,10 +2073,10 @@ async function main() {
 
   server
     .listen(port, () => {
-      log.info('Health server listening', { port });
+      log.info('http.listening', { port });
     })
     .on('error', (error) => {
-      log.error('Failed to start health server', { error });
+      log.error('http.listen_failed', { port, error });
     });
 
   // Wait a bit for server to be ready
@@ -762,96 +2085,200 @@ async function main() {
   // Fetch settings from API first (before starting workers)
   let spotThresholdFromApi = volumeThresholdUsd;
   let futuresThresholdFromApi = futuresVolumeThresholdUsd;
+  let spotBaseline = baselineConfig;
+  let futuresBaseline = baselineConfig;
+  let spotSymbolOverrides = new Map();
+  let futuresSymbolOverrides = new Map();
+  let spotWindowsFromApi = [];
+  let futuresWindowsFromApi = [];
+  let settingsUpdatedAt = null;
+  let symbolRulesFromApi = {};
+  const spotSources = {
+    volumeThresholdUsd: config.sources.volumeThresholdUsd,
+    alertMode: config.sources.alertMode,
+    baselineMultiplier: config.sources.baselineMultiplier,
+  };
+  const futuresSources = { ...spotSources, volumeThresholdUsd: config.sources.futuresVolumeThresholdUsd };
   
   try {
     const settings = await fetchVolumeSettings(baseUrl, workerApiToken, log);
     spotThresholdFromApi = settings.spotVolumeThreshold;
     futuresThresholdFromApi = settings.futuresVolumeThreshold;
+    spotBaseline = {
+      ...baselineConfig,
+      mode: settings.spotAlertMode || baselineConfig.mode,
+      multiplier: settings.spotBaselineMultiplier || baselineConfig.multiplier,
+    };
+    spotSymbolOverrides = settings.spotSymbolOverrides;
+    futuresSymbolOverrides = settings.futuresSymbolOverrides;
+    settingsUpdatedAt = settings.updatedAt;
+    spotWindowsFromApi = settings.spotWindows;
+    futuresWindowsFromApi = settings.futuresWindows;
+    symbolRulesFromApi = settings.symbolRules;
+    futuresBaseline = {
+      ...baselineConfig,
+      mode: settings.futuresAlertMode || baselineConfig.mode,
+      multiplier: settings.futuresBaselineMultiplier || baselineConfig.multiplier,
+    };
+    spotSources.volumeThresholdUsd = 'API';
+    futuresSources.volumeThresholdUsd = 'API';
+    if (settings.spotAlertMode) spotSources.alertMode = 'API';
+    if (settings.futuresAlertMode) futuresSources.alertMode = 'API';
+    if (settings.spotBaselineMultiplier) spotSources.baselineMultiplier = 'API';
+    if (settings.futuresBaselineMultiplier) futuresSources.baselineMultiplier = 'API';
   } catch (error) {
-    log.warn('Failed to fetch settings from API, using env defaults', { error });
+    log.warn('settings.fetch_failed', { fallback: 'env defaults', error });
   }
 
-  // Log initial settings from API
-  const startupInfo = {
-    status: 'Starting',
-    settings: {
-      spot: {
-        threshold: `$${spotThresholdFromApi.toLocaleString()}`,
-        source: 'API',
-      },
-      futures: {
-        threshold: `$${futuresThresholdFromApi.toLocaleString()}`,
-        source: 'API',
-      },
-    },
-  };
-  
-  console.log(`🚀 ORUBA VOLUME WORKER STARTING | ${JSON.stringify(startupInfo)}`);
+  log.info('worker.starting', {
+    spotThresholdUsd: spotThresholdFromApi,
+    futuresThresholdUsd: futuresThresholdFromApi,
+    settingsUpdatedAt,
+  });
 
-  console.log('🔄 Starting SPOT worker...');
   try {
     spotWorker = await startWorker({
     baseUrl,
     workerApiToken,
     pushTriggerToken,
     log,
+    symbols: config.values.symbols,
+    symbolSource: config.values.symbolSource,
+    discovery: { url: config.values.spotDiscoveryUrl, minVolumeUsd: config.values.discoveryMinVolumeUsd },
+    symbolRules,
+    initialSymbolRules: symbolRulesFromApi,
+    symbolCache,
+    wsBaseUrl: config.values.wsBaseUrl,
     symbolRefreshMs,
+    settingsRefreshMs,
     volumeWindowMs,
     initialVolumeThresholdUsd: spotThresholdFromApi,
     notificationCooldownMs,
+    rearmRatio: config.values.alertRearmPct / 100,
+    escalationTiers: config.values.escalationTiers,
+    flowAlerts,
+    baseline: spotBaseline,
+    digest: digestConfig,
+    pushLimiter,
+    initialSymbolOverrides: spotSymbolOverrides,
+    windowDefinitions: config.values.spotVolumeWindows,
+    initialSettingsWindows: spotWindowsFromApi,
+    initialSettingsUpdatedAt: settingsUpdatedAt,
+    settingSources: spotSources,
+    streamsPerConnection,
+    streamStaleMs,
+    snapshotStore,
+    snapshotIntervalMs,
+    retryQueue,
+    recorder,
+    usdRates,
+    metrics,
+    notifier,
+    isLeader,
     type: 'spot',
+    adapter: createExchangeAdapter(config.values.exchange, 'spot'),
     });
-    console.log('✅ SPOT worker started successfully');
+    log.info('worker.started', { worker: 'spot' });
   } catch (error) {
-    const errorInfo = {
-      worker: 'SPOT',
-      error: error.message,
-      status: 'Failed',
-    };
-    console.log(`❌ SPOT WORKER FAILED | ${JSON.stringify(errorInfo)}`);
-    log.error('Failed to initialize spot worker', { error });
+    log.error('worker.start_failed', { worker: 'spot', error });
     throw error;
   }
 
-  console.log('🔄 Starting FUTURES worker...');
   try {
     futuresWorker = await startWorker({
     baseUrl,
     workerApiToken,
     pushTriggerToken,
     log,
+    symbols: config.values.symbols,
+    symbolSource: config.values.symbolSource,
+    discovery: { url: config.values.futuresDiscoveryUrl, minVolumeUsd: config.values.discoveryMinVolumeUsd },
+    symbolRules,
+    initialSymbolRules: symbolRulesFromApi,
+    symbolCache,
+    wsBaseUrl: config.values.wsBaseUrl,
     symbolRefreshMs,
+    settingsRefreshMs,
     volumeWindowMs,
     initialVolumeThresholdUsd: futuresThresholdFromApi,
     notificationCooldownMs,
+    rearmRatio: config.values.alertRearmPct / 100,
+    escalationTiers: config.values.escalationTiers,
+    flowAlerts,
+    baseline: futuresBaseline,
+    digest: digestConfig,
+    pushLimiter,
+    initialSymbolOverrides: futuresSymbolOverrides,
+    windowDefinitions: config.values.futuresVolumeWindows,
+    initialSettingsWindows: futuresWindowsFromApi,
+    initialSettingsUpdatedAt: settingsUpdatedAt,
+    settingSources: futuresSources,
+    streamsPerConnection,
+    streamStaleMs,
+    snapshotStore,
+    snapshotIntervalMs,
+    retryQueue,
+    recorder,
+    usdRates,
+    metrics,
+    notifier,
+    isLeader,
     type: 'futures',
+    adapter: createExchangeAdapter(config.values.exchange, 'futures'),
+    futuresSignals,
     });
-    console.log('✅ FUTURES worker started successfully');
+    log.info('worker.started', { worker: 'futures' });
   } catch (error) {
-    const errorInfo = {
-      worker: 'FUTURES',
-      error: error.message,
-      status: 'Failed',
-    };
-    console.log(`❌ FUTURES WORKER FAILED | ${JSON.stringify(errorInfo)}`);
-    log.error('Failed to initialize futures worker', { error });
+    log.error('worker.start_failed', { worker: 'futures', error });
     throw error;
   }
 
-  function handleExit(signal) {
-    log.info(`Received ${signal}. Shutting down gracefully.`);
-    spotWorker?.stop();
-    futuresWorker?.stop();
-    process.exit(0);
+  async function handleExit(signal, exitCode = 0) {
+    log.info('worker.shutdown', { signal });
+    // Stopping also writes a final state snapshot when snapshots are enabled
+    rateStreams.stop();
+    await Promise.all([spotWorker?.stop(), futuresWorker?.stop(), retryQueue.stop(), recorder?.stop()]);
+    // Released last so a standby takes over right away, once nothing more is sent from here
+    await election?.stop();
+    process.exit(exitCode);
   }
 
   process.on('SIGINT', handleExit);
   process.on('SIGTERM', handleExit);
+
+  // Platform health checks only report a degraded worker (Fly does not restart
+  // a machine for failing them), so it exits itself and is restarted fresh
+  const { unhealthyExitMs } = config.values;
+  let degradedSince = null;
+  function watchHealth() {
+    setTimeout(() => {
+      const { unhealthy } = getReadiness();
+      const now = Date.now();
+      degradedSince = unhealthy.length ? degradedSince || now : null;
+      if (degradedSince === null || now - degradedSince < unhealthyExitMs) {
+        watchHealth();
+        return;
+      }
+      log.error('worker.unhealthy_exit', { degradedSeconds: Math.round((now - degradedSince) / 1000), unhealthy });
+      handleExit('unhealthy', 1);
+    }, HEALTH_WATCHDOG_INTERVAL_MS);
+  }
+  if (unhealthyExitMs > 0) watchHealth();
 }
 
+module.exports = {
+  parseSymbolOverrides,
+  parseDuration,
+  parseAmount,
+  parseWindowDefinitions,
+  verifyAlertRequest,
+  startWorker,
+  buildStatusView,
+};
+
 if (require.main === module) {
   main().catch((error) => {
-    console.error('[ERROR]', error);
+    createLogger(process.env.LOG_LEVEL, { format: process.env.LOG_FORMAT }).error('worker.crashed', { error });
     process.exitCode = 1;
   });
 }
@@ -0,0 +1,352 @@
+const fs = require('fs/promises');
+const net = require('net');
+const tls = require('tls');
+const path = require('path');
+const fetch = require('cross-fetch');
+
+const LEASE_BACKENDS = ['off', 'file', 'http', 'redis'];
+const DEFAULT_LEASE_TTL_MS = 30_000;
+const DEFAULT_LEASE_KEY = 'oruba-coin-worker:leader';
+/** A file lock older than this belongs to a crashed process and is broken. */
+const STALE_LOCK_MS = 10_000;
+const LOCK_ATTEMPTS = 10;
+const LOCK_RETRY_MS = 50;
+/** Bound on one lease store round trip (HTTP request, Redis connection). */
+const LEASE_REQUEST_TIMEOUT_MS = 5_000;
+
+/**
+ * Lease stores share one shape: `acquire(holder, ttlMs)` takes the lease when
+ * it is free or expired, or extends it when `holder` already has it, and
+ * resolves true while `holder` is the leaseholder; `release(holder)` gives it
+ * up early. Errors (store unreachable) reject.
+ */
+
+/**
+ * Lease in a JSON file, for processes sharing a disk (one host, or one
+ * volume). Read-modify-write is guarded by an exclusive `<file>.lock`.
+ */
+function createFileLeaseStore(file) {
+  const lockFile = `${file}.lock`;
+
+  // The lock is held for one read and write; instances renewing at the same moment wait their turn
+  async function openLock() {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await fs.open(lockFile, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const stat = await fs.stat(lockFile).catch(() => undefined);
+        if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) await fs.rm(lockFile, { force: true });
+        else if (attempt >= LOCK_ATTEMPTS) throw new Error(`Lease file ${file} is locked by another process`);
+        else await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+  }
+
+  async function withLock(fn) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const handle = await openLock();
+
+    try {
+      return await fn();
+    } finally {
+      await handle.close();
+      await fs.rm(lockFile, { force: true });
+    }
+  }
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return undefined;
+      throw error;
+    }
+  }
+
+  return {
+    acquire: (holder, ttlMs) => withLock(async () => {
+      const lease = await read();
+      const now = Date.now();
+      if (lease && lease.holder !== holder && lease.expiresAt > now) return false;
+      await fs.writeFile(file, JSON.stringify({ holder, expiresAt: now + ttlMs }));
+      return true;
+    }),
+    release: (holder) => withLock(async () => {
+      const lease = await read();
+      if (lease && lease.holder === holder) await fs.rm(file, { force: true });
+    }),
+  };
+}
+
+/**
+ * Lease held by an HTTP endpoint, e.g. on the backend:
+ *
+ *   POST   <url> { key, holder, ttlMs } -> 200 { holder, expiresAt } (granted or renewed)
+ *                                      -> 409 { holder, expiresAt } (someone else holds it)
+ *   DELETE <url> { key, holder }       -> 2xx
+ */
+function createHttpLeaseStore({ url, token, key = DEFAULT_LEASE_KEY }) {
+  async function request(method, payload) {
+    return fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ key, ...payload }),
+      signal: AbortSignal.timeout(LEASE_REQUEST_TIMEOUT_MS),
+    });
+  }
+
+  return {
+    async acquire(holder, ttlMs) {
+      const response = await request('POST', { holder, ttlMs });
+      if (response.status === 409) return false;
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Failed to acquire leader lease (${response.status} ${response.statusText}): ${text}`);
+      }
+      const lease = await response.json();
+      return lease.holder === holder;
+    },
+    async release(holder) {
+      const response = await request('DELETE', { holder });
+      if (!response.ok) throw new Error(`Failed to release leader lease (${response.status} ${response.statusText})`);
+    },
+  };
+}
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map((arg) => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('')}`;
+}
+
+/**
+ * Parses one RESP reply from the start of `buffer`: `{ value, length }`, or
+ * undefined while incomplete. Arrays are not needed by the lease commands.
+ */
+function parseReply(buffer) {
+  const end = buffer.indexOf('\r\n');
+  if (end === -1) return undefined;
+  const line = buffer.slice(1, end).toString();
+  switch (String.fromCharCode(buffer[0])) {
+    case '+': return { value: line, length: end + 2 };
+    case ':': return { value: Number(line), length: end + 2 };
+    case '-': return { value: new Error(line), length: end + 2 };
+    case '$': {
+      const size = Number(line);
+      if (size === -1) return { value: null, length: end + 2 };
+      if (buffer.length < end + 2 + size + 2) return undefined;
+      return { value: buffer.slice(end + 2, end + 2 + size).toString(), length: end + 2 + size + 2 };
+    }
+    default: throw new Error(`Unsupported Redis reply type "${String.fromCharCode(buffer[0])}"`);
+  }
+}
+
+// Runs commands on a fresh connection, in order; resolves with their replies
+function runRedisCommands(url, commands) {
+  const target = new URL(url);
+  const port = Number(target.port) || 6379;
+  const setup = [];
+  if (target.password) {
+    setup.push(target.username
+      ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)]
+      : ['AUTH', decodeURIComponent(target.password)]);
+  }
+  const db = target.pathname.slice(1);
+  if (db) setup.push(['SELECT', db]);
+  const all = [...setup, ...commands];
+
+  return new Promise((resolve, reject) => {
+    const socket = target.protocol === 'rediss:'
+      ? tls.connect({ host: target.hostname, port, servername: target.hostname })
+      : net.connect({ host: target.hostname, port });
+    const replies = [];
+    let buffer = Buffer.alloc(0);
+
+    function fail(error) {
+      socket.destroy();
+      reject(error);
+    }
+
+    socket.setTimeout(LEASE_REQUEST_TIMEOUT_MS, () => fail(new Error('Redis lease store timed out')));
+    socket.on('error', fail);
+    // Once every reply is in this is a no-op; before that the server hung up on us
+    socket.on('close', () => fail(new Error('Redis lease store closed the connection')));
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      while (buffer.length && (reply = parseReply(buffer))) {
+        buffer = buffer.slice(reply.length);
+        if (reply.value instanceof Error) return fail(reply.value);
+        replies.push(reply.value);
+      }
+      if (replies.length === all.length) {
+        socket.end();
+        resolve(replies.slice(setup.length));
+      }
+    });
+    socket.write(all.map(encodeCommand).join(''));
+  });
+}
+
+// Extend or delete the key only if we still hold it
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * Lease as a Redis key with a TTL (`SET NX PX`), for Redis or any server
+ * speaking its protocol (Valkey, KeyDB, Upstash, ...). `url` is
+ * redis[s]://[[user]:password@]host[:port][/db].
+ */
+function createRedisLeaseStore({ url, key = DEFAULT_LEASE_KEY }) {
+  return {
+    async acquire(holder, ttlMs) {
+      const [renewed] = await runRedisCommands(url, [['EVAL', RENEW_SCRIPT, 1, key, holder, ttlMs]]);
+      if (renewed === 1) return true;
+      const [set] = await runRedisCommands(url, [['SET', key, holder, 'NX', 'PX', ttlMs]]);
+      return set === 'OK';
+    },
+    async release(holder) {
+      await runRedisCommands(url, [['EVAL', RELEASE_SCRIPT, 1, key, holder]]);
+    },
+  };
+}
+
+function createLeaseStore(backend, { file, url, token, key }) {
+  if (backend === 'file') return createFileLeaseStore(file);
+  if (!url) throw new Error(`LEADER_LEASE=${backend} needs LEADER_LEASE_URL`);
+  if (backend === 'http') return createHttpLeaseStore({ url, token, key });
+  if (backend === 'redis') return createRedisLeaseStore({ url, key });
+  throw new Error(`Unknown leader lease backend "${backend}" (expected ${LEASE_BACKENDS.join(', ')})`);
+}
+
+/**
+ * Leader election over a lease store. The lease is renewed every `renewMs`
+ * (a third of the TTL by default). When renewal fails or stalls the leader
+ * keeps leading only while its last lease is still valid, minus one renew
+ * interval, so two machines never push at once; another instance takes over
+ * once the lease expires. `onChange(role)` fires on 'leader' / 'standby'.
+ */
+function createLeaderElection({
+  store,
+  backend,
+  holderId,
+  ttlMs = DEFAULT_LEASE_TTL_MS,
+  renewMs = Math.floor(ttlMs / 3),
+  log,
+  onChange = () => {},
+  clock = Date.now,
+}) {
+  let role = 'standby';
+  let leaderSince = null;
+  let lastRenewedAt = null;
+  let lastError = null;
+  let timer;
+  let expiryTimer;
+  let renewing = Promise.resolve();
+  let stopped = false;
+
+  // Leading only counts while the last granted lease has a renew interval to spare
+  const leaseValid = () => lastRenewedAt !== null && clock() < lastRenewedAt + ttlMs - renewMs;
+
+  function setRole(next, event = next === 'leader' ? 'leader.acquired' : 'leader.lost') {
+    // A renewal finishing after stop() must not make a stopped instance lead again
+    if (next === role || (stopped && next === 'leader')) return;
+    role = next;
+    leaderSince = next === 'leader' ? clock() : null;
+    if (next !== 'leader') clearTimeout(expiryTimer);
+    log[event === 'leader.lost' ? 'warn' : 'info'](event, { holder: holderId, backend });
+    onChange(role);
+  }
+
+  async function renew() {
+    const attemptAt = clock();
+    try {
+      const held = await store.acquire(holderId, ttlMs);
+      lastError = null;
+      if (held) lastRenewedAt = attemptAt;
+      // A grant that took too long to arrive is not acted on; the next renewal extends it
+      setRole(held && leaseValid() ? 'leader' : 'standby');
+      if (role === 'leader') watchExpiry();
+    } catch (error) {
+      lastError = error.message;
+      log.error('leader.renew_failed', { holder: holderId, backend, role, error });
+      if (role === 'leader' && !leaseValid()) setRole('standby');
+    }
+  }
+
+  // Steps down on time even while a renewal hangs on the store
+  function watchExpiry() {
+    clearTimeout(expiryTimer);
+    expiryTimer = setTimeout(() => {
+      if (role === 'leader' && !leaseValid()) setRole('standby');
+    }, lastRenewedAt + ttlMs - renewMs - clock());
+  }
+
+  // renew() never rejects; stop() waits on the one in flight
+  function startRenewal() {
+    renewing = renew();
+    return renewing;
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      await startRenewal();
+      if (!stopped) schedule();
+    }, renewMs);
+  }
+
+  async function start() {
+    await startRenewal();
+    schedule();
+  }
+
+  // Hands the lease over right away instead of letting it expire. A renewal
+  // still in flight may extend the lease, so it is awaited before releasing.
+  async function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    clearTimeout(expiryTimer);
+    await renewing;
+    if (role !== 'leader' && !leaseValid()) return;
+    setRole('standby', 'leader.released');
+    try {
+      await store.release(holderId);
+    } catch (error) {
+      log.warn('leader.release_failed', { holder: holderId, backend, error });
+    }
+  }
+
+  function getStatus() {
+    return {
+      backend,
+      holder: holderId,
+      role,
+      leaderSince: leaderSince ? new Date(leaderSince).toISOString() : null,
+      lastRenewedAt: lastRenewedAt ? new Date(lastRenewedAt).toISOString() : null,
+      ttlMs,
+      lastError,
+    };
+  }
+
+  return {
+    start,
+    stop,
+    isLeader: () => role === 'leader' && leaseValid(),
+    getStatus,
+  };
+}
+
+module.exports = {
+  LEASE_BACKENDS,
+  DEFAULT_LEASE_TTL_MS,
+  DEFAULT_LEASE_KEY,
+  createFileLeaseStore,
+  createHttpLeaseStore,
+  createRedisLeaseStore,
+  createLeaseStore,
+  createLeaderElection,
+  parseReply,
+  runRedisCommands,
+};
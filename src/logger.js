@@ -0,0 +1,85 @@
+const util = require('util');
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['json', 'pretty'];
+
+/** Plain-object form of an Error; JSON.stringify would otherwise emit `{}`. */
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  for (const key of ['code', 'status']) {
+    if (error[key] !== undefined) serialized[key] = error[key];
+  }
+  if (error.stack) serialized.stack = error.stack;
+  if (error.cause !== undefined) {
+    serialized.cause = error.cause instanceof Error ? serializeError(error.cause) : error.cause;
+  }
+  return serialized;
+}
+
+function jsonReplacer(key, value) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+function formatPrettyValue(value) {
+  if (value instanceof Error) return value.message;
+  if (typeof value === 'string') return /\s/.test(value) ? JSON.stringify(value) : value;
+  return util.inspect(value, { breakLength: Infinity, depth: 4 });
+}
+
+function formatPretty(entry) {
+  const { timestamp, level, event, worker, symbol, ...fields } = entry;
+  const parts = [timestamp.slice(11, 23), level.toUpperCase().padEnd(5)];
+  if (worker) parts.push(`[${worker}]`);
+  parts.push(event);
+  if (symbol) parts.push(symbol);
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) parts.push(`${key}=${formatPrettyValue(value)}`);
+  }
+
+  const stacks = Object.values(fields)
+    .filter((value) => value instanceof Error && value.stack)
+    .map((value) => value.stack);
+  return [parts.join(' '), ...stacks].join('\n');
+}
+
+/**
+ * Structured logger. Each call takes a short dotted event name plus a fields
+ * object and writes one line: a JSON object with `timestamp`, `level`,
+ * `event` and any bound or call fields (`worker`, `symbol`, ...), or a
+ * single human-readable line when `format` is `'pretty'`.
+ *
+ * child(bindings) returns a logger that adds `bindings` to every entry.
+ */
+function createLogger(level, { format = 'json', bindings = {} } = {}) {
+  const normalized = level && LEVELS.includes(level) ? level : 'info';
+  const currentIndex = LEVELS.indexOf(normalized);
+  const pretty = format === 'pretty';
+
+  function write(name, event, fields) {
+    const entry = { timestamp: new Date().toISOString(), level: name, event, ...bindings, ...fields };
+    let line;
+    try {
+      line = pretty ? formatPretty(entry) : JSON.stringify(entry, jsonReplacer);
+    } catch (error) {
+      // Circular or otherwise unserializable fields must not take the worker down.
+      line = JSON.stringify({ timestamp: entry.timestamp, level: name, event, ...bindings, logError: error.message });
+    }
+    const stream = name === 'error' || name === 'warn' ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  const logger = LEVELS.reduce((acc, name, index) => {
+    acc[name] = (event, fields = {}) => {
+      if (index <= currentIndex) write(name, event, fields);
+    };
+    return acc;
+  }, {});
+
+  logger.isLevelEnabled = (name) => LEVELS.indexOf(name) <= currentIndex;
+  logger.child = (extra) => createLogger(normalized, { format, bindings: { ...bindings, ...extra } });
+  return logger;
+}
+
+module.exports = { createLogger, serializeError, LEVELS, LOG_FORMATS };
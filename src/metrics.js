@@ -0,0 +1,175 @@
+/**
+ * Minimal Prometheus text-format registry (no external dependency).
+ *
+ * Counters and histograms are updated in place; gauges are computed on
+ * scrape by a `collect()` callback returning `[{ labels, value }]`.
+ */
+function createRegistry() {
+  const metrics = [];
+
+  function labelKey(labelNames, labels) {
+    return labelNames.map((name) => String(labels[name] ?? '')).join('\u0000');
+  }
+
+  function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined);
+    if (!entries.length) return '';
+    const body = entries
+      .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+      .join(',');
+    return `{${body}}`;
+  }
+
+  function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map(); // labelKey -> { labels, value }
+
+    function inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    }
+
+    function render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of values.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+      return lines;
+    }
+
+    metrics.push({ render });
+    return { inc };
+  }
+
+  function gauge(name, help, collect) {
+    function render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels = {}, value } of collect()) {
+        if (value === null || value === undefined || Number.isNaN(value)) continue;
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+      return lines;
+    }
+
+    metrics.push({ render });
+  }
+
+  function histogram(name, help, buckets, labelNames = []) {
+    const sorted = buckets.slice().sort((a, b) => a - b);
+    const series = new Map(); // labelKey -> { labels, counts, sum, count }
+
+    function observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: new Array(sorted.length).fill(0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      sorted.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    }
+
+    // Returns a function that records the elapsed seconds when called.
+    function startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    function render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        sorted.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+
+    metrics.push({ render });
+    return { observe, startTimer };
+  }
+
+  function render() {
+    return `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+/**
+ * Counters and histograms shared by the spot and futures workers. Gauges that
+ * read live worker state are registered separately via `registry.gauge`.
+ */
+function createWorkerMetrics() {
+  const registry = createRegistry();
+
+  return {
+    registry,
+    tradesProcessed: registry.counter(
+      'oruba_trades_processed_total',
+      'Trades added to rolling windows.',
+      ['market']
+    ),
+    wsConnects: registry.counter(
+      'oruba_ws_connects_total',
+      'WebSocket connections opened.',
+      ['market']
+    ),
+    wsReconnects: registry.counter(
+      'oruba_ws_reconnects_total',
+      'WebSocket reconnects scheduled after a dropped connection.',
+      ['market']
+    ),
+    wsStale: registry.counter(
+      'oruba_ws_stale_total',
+      'WebSocket connections recycled by the stale-stream watchdog.',
+      ['market']
+    ),
+    parseFailures: registry.counter(
+      'oruba_parse_failures_total',
+      'Stream messages that could not be parsed into a trade.',
+      ['market']
+    ),
+    tradesDropped: registry.counter(
+      'oruba_trades_dropped_total',
+      'Parsed trades not added to windows, e.g. without a USD conversion rate.',
+      ['market', 'reason']
+    ),
+    alertsSent: registry.counter(
+      'oruba_alerts_sent_total',
+      'Alerts delivered, per notification sink.',
+      ['market', 'alert', 'sink']
+    ),
+    alertsFailed: registry.counter(
+      'oruba_alerts_failed_total',
+      'Alert deliveries that failed, per notification sink.',
+      ['market', 'alert', 'sink']
+    ),
+    alertsRateLimited: registry.counter(
+      'oruba_alerts_rate_limited_total',
+      'Alerts dropped because the push budget (MAX_PUSHES_PER_MINUTE) was used up.',
+      ['market', 'alert']
+    ),
+    broadcastDuration: registry.histogram(
+      'oruba_broadcast_duration_seconds',
+      'Latency of alert deliveries, per notification sink.',
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      ['market', 'alert', 'sink']
+    ),
+  };
+}
+
+module.exports = { createRegistry, createWorkerMetrics };
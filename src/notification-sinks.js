@@ -0,0 +1,293 @@
+const fetch = require('cross-fetch');
+const { parseAmount } = require('./config');
+const { signAlertRequest } = require('./alert-signing');
+
+const SINK_TYPES = ['backend', 'webhook', 'telegram', 'discord'];
+const ALERT_TYPES = ['volume', 'digest', 'flow', 'liquidation', 'funding', 'open_interest'];
+const MARKETS = ['spot', 'futures'];
+const DEFAULT_SINK_TIMEOUT_MS = 10_000;
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+
+/** Default chat messages; `{name}` is any alert or details field, plus the formatted extras of templateValues(). */
+const DEFAULT_TEMPLATES = {
+  volume: '{symbol} {market}: {volume} traded in {window} on {exchange}{escalation}',
+  digest: '{symbolCount} {market} symbols surged on {exchange}: {movers}',
+  flow: '{symbol} {market}: taker {direction} flow {netFlow} in {window} ({buyRatio} buys)',
+  liquidation: '{symbol} futures: {liquidated} liquidated in {window} (longs {longsLiquidated}, shorts {shortsLiquidated})',
+  funding: '{symbol} futures: funding rate {fundingRatePct}%, {direction}',
+  open_interest: '{symbol} futures: open interest {direction} {changePct}% in {windowMinutes}m ({openInterestValue})',
+};
+
+/** 1234567 -> '$1.23M' */
+function formatUsd(amount) {
+  if (!Number.isFinite(amount)) return 'n/a';
+  const abs = Math.abs(amount);
+  if (abs >= 1e9) return `$${(amount / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `$${(amount / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `$${(amount / 1e3).toFixed(1)}K`;
+  return `$${Math.round(amount)}`;
+}
+
+// Alert fields plus human-readable versions of the amounts the default templates use
+function templateValues(alert) {
+  const details = alert.details || {};
+  return {
+    ...details,
+    alert: alert.alert,
+    market: alert.market,
+    exchange: details.exchange || 'binance',
+    symbol: alert.symbol ? alert.symbol.toUpperCase() : '',
+    volume: formatUsd(alert.volumeUsd),
+    netFlow: formatUsd(details.netFlowUsd),
+    buyRatio: Number.isFinite(details.buyRatio) ? `${Math.round(details.buyRatio * 100)}%` : 'n/a',
+    liquidated: formatUsd(details.liquidatedUsd),
+    longsLiquidated: formatUsd(details.longsLiquidatedUsd),
+    shortsLiquidated: formatUsd(details.shortsLiquidatedUsd),
+    openInterestValue: formatUsd(details.openInterestUsd),
+    fundingRatePct: Number.isFinite(details.fundingRatePct) ? details.fundingRatePct.toFixed(4) : 'n/a',
+    changePct: Number.isFinite(details.changePct) ? details.changePct.toFixed(1) : 'n/a',
+    escalation: details.escalation ? ` (${details.tier}x threshold)` : '',
+    movers: (details.movers || [])
+      .slice(0, 5)
+      .map((mover) => `${mover.symbol.toUpperCase()} ${formatUsd(mover.volumeUsd)}`)
+      .join(', '),
+  };
+}
+
+/** Replaces `{name}` placeholders; unknown names are left as they are so typos show up. */
+function renderTemplate(template, alert) {
+  const values = templateValues(alert);
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = values[name];
+    return value === undefined || value === null || typeof value === 'object' ? match : String(value);
+  });
+}
+
+/**
+ * Whether a sink's filter lets an alert through. `minVolumeUsd` applies to
+ * alerts with a volume (volume, digest); a digest passes `symbols` when any
+ * of its movers does.
+ */
+function matchesFilter(filter, alert) {
+  if (filter.markets && !filter.markets.includes(alert.market)) return false;
+  if (filter.alerts && !filter.alerts.includes(alert.alert)) return false;
+  if (filter.minVolumeUsd && Number.isFinite(alert.volumeUsd) && alert.volumeUsd < filter.minVolumeUsd) return false;
+  if (filter.symbols) {
+    const symbols = alert.alert === 'digest'
+      ? (alert.details.movers || []).map((mover) => mover.symbol)
+      : [alert.symbol];
+    if (!symbols.some((symbol) => filter.symbols.includes(symbol))) return false;
+  }
+  return true;
+}
+
+function listOf(value, allowed, field, problems, label) {
+  if (value === undefined) return undefined;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = allowed ? items.filter((item) => !allowed.includes(item)) : [];
+  if (unknown.length) problems.push(`${label}: unknown ${field} ${unknown.join(', ')}`);
+  return items.length ? items : undefined;
+}
+
+/**
+ * Parses NOTIFICATION_SINKS, a JSON array of sink definitions:
+ *
+ *   [{ "type": "telegram", "botToken": "...", "chatId": "-100123",
+ *      "markets": ["futures"], "minVolumeUsd": "1m", "symbols": ["pepeusdt"],
+ *      "alerts": ["volume", "digest"], "templates": { "volume": "{symbol}: {volume}" } }]
+ *
+ * webhook needs `url` and `secret`, telegram `botToken` and `chatId`, discord
+ * `url`. `name` defaults to the type and must be unique. Throws listing every
+ * problem.
+ */
+function parseSinkConfigs(raw) {
+  let items;
+  try {
+    items = JSON.parse(raw);
+  } catch (error) {
+    throw new Error('expected a JSON array of sinks');
+  }
+  if (!Array.isArray(items)) throw new Error('expected a JSON array of sinks');
+
+  const problems = [];
+  const names = new Set();
+  const configs = items.map((item, index) => {
+    const label = `sink ${index + 1}`;
+    if (!item || typeof item !== 'object' || !SINK_TYPES.includes(item.type)) {
+      problems.push(`${label}: type must be one of ${SINK_TYPES.join(', ')}`);
+      return undefined;
+    }
+
+    const name = String(item.name || item.type);
+    if (names.has(name)) problems.push(`${label}: duplicate name "${name}"`);
+    names.add(name);
+
+    const required = { webhook: ['url', 'secret'], telegram: ['botToken', 'chatId'], discord: ['url'] }[item.type] || [];
+    for (const field of required) {
+      if (!item[field]) problems.push(`${label} (${name}): ${field} is required`);
+    }
+
+    const minVolumeUsd = item.minVolumeUsd === undefined ? undefined : parseAmount(item.minVolumeUsd);
+    if (minVolumeUsd !== undefined && !(minVolumeUsd >= 0)) problems.push(`${label} (${name}): invalid minVolumeUsd`);
+
+    const templates = item.templates && typeof item.templates === 'object' ? item.templates : {};
+    const unknownTemplates = Object.keys(templates).filter((alert) => !ALERT_TYPES.includes(alert));
+    if (unknownTemplates.length) problems.push(`${label} (${name}): unknown template ${unknownTemplates.join(', ')}`);
+
+    return {
+      ...item,
+      name,
+      enabled: item.enabled !== false,
+      filter: {
+        markets: listOf(item.markets, MARKETS, 'market', problems, label),
+        alerts: listOf(item.alerts, ALERT_TYPES, 'alert', problems, label),
+        symbols: listOf(item.symbols, undefined, 'symbol', problems, label),
+        minVolumeUsd,
+      },
+      templates,
+    };
+  });
+
+  if (problems.length) throw new Error(problems.join('; '));
+  return configs.filter((config) => config.enabled);
+}
+
+/** Keeps only the scheme and host of URLs: sink paths carry the bot or webhook token. */
+function redactUrls(message) {
+  return String(message).replace(/\b(https?):\/\/(?:[^@/\s]*@)?([^/?#\s]+)[^\s,]*/gi, '$1://$2/<redacted>');
+}
+
+async function postJson(url, body, { headers = {}, timeoutMs, what }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    // Network errors quote the URL; rethrown without it (or the original as cause)
+    // since the message ends up in logs, /health and the retry queue
+    throw new Error(`Failed to deliver ${what}: ${redactUrls(error.message)}`);
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    const error = new Error(`Failed to deliver ${what} (${response.status} ${response.statusText}): ${text}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Builds a webhook, Telegram or Discord sink from a parsed config. A sink is
+ * `{ name, type, filter, send(alert, log) }`; send() rejects on failure.
+ *
+ * - webhook: POSTs the alert as JSON with its rendered `text`, signed like
+ *   backend pushes (X-Oruba-Alert-Id / -Timestamp / -Signature, see
+ *   ./alert-signing; verifyAlertRequest() checks them).
+ * - telegram: sendMessage to `chatId` as plain text.
+ * - discord: webhook message with mentions disabled.
+ */
+function createNotificationSink(config) {
+  const { name, type, filter = {}, templates = {}, timeoutMs = DEFAULT_SINK_TIMEOUT_MS } = config;
+
+  function render(alert) {
+    return renderTemplate(templates[alert.alert] || DEFAULT_TEMPLATES[alert.alert] || '{alert} {symbol}', alert);
+  }
+
+  const deliver = {
+    async webhook(alert) {
+      const body = JSON.stringify({ alertId: alert.id, ...alert, text: render(alert) });
+      await postJson(config.url, body, {
+        headers: signAlertRequest({ body, alertId: alert.id, secret: config.secret }),
+        timeoutMs,
+        what: `webhook ${name}`,
+      });
+    },
+
+    async telegram(alert) {
+      const url = `${config.apiUrl || TELEGRAM_API_URL}/bot${config.botToken}/sendMessage`;
+      const body = JSON.stringify({ chat_id: config.chatId, text: render(alert), disable_web_page_preview: true });
+      await postJson(url, body, { timeoutMs, what: `Telegram message (${name})` });
+    },
+
+    async discord(alert) {
+      const body = JSON.stringify({ content: render(alert), allowed_mentions: { parse: [] } });
+      await postJson(config.url, body, { timeoutMs, what: `Discord message (${name})` });
+    },
+  }[type];
+
+  if (!deliver) throw new Error(`Unknown notification sink type "${type}"`);
+
+  return {
+    name,
+    type,
+    filter,
+    async send(alert, log) {
+      await deliver(alert);
+      log.info('alert.sent', { alert: alert.alert, sink: name, symbol: alert.symbol ? alert.symbol.toUpperCase() : undefined });
+    },
+  };
+}
+
+/**
+ * Fans alerts out to every sink whose filter matches. Sinks run side by side
+ * and fail independently: notify() resolves with the `[{ sink, error }]` that
+ * failed so the caller can retry just those.
+ */
+function createNotifier({ sinks }) {
+  const byName = new Map(sinks.map((sink) => [sink.name, sink]));
+  const stats = new Map(sinks.map((sink) => [sink.name, { delivered: 0, failed: 0, lastError: null, lastErrorAt: null }]));
+
+  // `timed(sinkName, send)` wraps each delivery, e.g. with metrics
+  async function sendTo(name, alert, { log, timed = (sinkName, send) => send() }) {
+    const sink = byName.get(name);
+    if (!sink) {
+      const error = new Error(`Notification sink "${name}" is not configured`);
+      error.status = 410; // not retryable: dead-letter instead
+      throw error;
+    }
+
+    const entry = stats.get(name);
+    try {
+      await timed(name, () => sink.send(alert, log));
+      entry.delivered += 1;
+    } catch (error) {
+      entry.failed += 1;
+      entry.lastError = error.message;
+      entry.lastErrorAt = new Date().toISOString();
+      throw error;
+    }
+  }
+
+  async function notify(alert, options) {
+    const targets = sinks.filter((sink) => matchesFilter(sink.filter || {}, alert));
+    const results = await Promise.allSettled(targets.map((sink) => sendTo(sink.name, alert, options)));
+    return results
+      .map((result, index) => ({ sink: targets[index].name, error: result.reason }))
+      .filter((failure, index) => results[index].status === 'rejected');
+  }
+
+  function getStatus() {
+    return sinks.map((sink) => ({ name: sink.name, type: sink.type, ...stats.get(sink.name) }));
+  }
+
+  return { notify, sendTo, getStatus };
+}
+
+module.exports = {
+  SINK_TYPES,
+  DEFAULT_SINK_TIMEOUT_MS,
+  DEFAULT_TEMPLATES,
+  formatUsd,
+  redactUrls,
+  renderTemplate,
+  matchesFilter,
+  parseSinkConfigs,
+  createNotificationSink,
+  createNotifier,
+};
@@ -0,0 +1,176 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_BASE_DELAY_MS = 5_000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60_000;
+const DEFAULT_MAX_AGE_MS = 30 * 60_000;
+
+/** 4xx responses will not succeed on retry, except timeouts and rate limits. */
+function isRetryable(error) {
+  const status = error && error.status;
+  if (!status || status >= 500) return true;
+  return status === 408 || status === 429;
+}
+
+/**
+ * Durable retry queue for failed push broadcasts.
+ *
+ * Jobs are plain JSON objects handed to `send(job)`; a rejected send is
+ * retried with exponential backoff until it succeeds or is older than
+ * `maxAgeMs`, at which point it is appended to the NDJSON dead-letter file.
+ * The pending queue is rewritten to `file` on every change so it survives
+ * restarts; call load() once before start().
+ */
+function createRetryQueue({
+  file,
+  deadLetterFile,
+  send,
+  log,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+}) {
+  let jobs = [];
+  let timer;
+  let running = false;
+  let processing = false;
+  let deadLettered = 0;
+  let writeChain = Promise.resolve();
+
+  // Serialize writes so an older queue state never overwrites a newer one.
+  function persist() {
+    const data = JSON.stringify(jobs);
+    writeChain = writeChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, data);
+        await fs.rename(tmp, file);
+      })
+      .catch((error) => log.error('retry_queue.persist_failed', { error }));
+    return writeChain;
+  }
+
+  async function deadLetter(job, reason) {
+    deadLettered += 1;
+    const line = JSON.stringify({ ...job, deadLetteredAt: Date.now(), reason });
+    try {
+      await fs.mkdir(path.dirname(deadLetterFile), { recursive: true });
+      await fs.appendFile(deadLetterFile, `${line}\n`);
+    } catch (error) {
+      log.error('retry_queue.dead_letter_write_failed', { id: job.id, error });
+    }
+    log.warn('retry_queue.dead_lettered', { id: job.id, symbol: job.symbol, worker: job.type, attempts: job.attempts, reason });
+  }
+
+  async function load() {
+    let saved;
+    try {
+      saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.error('retry_queue.load_failed', { error });
+      return;
+    }
+    if (!Array.isArray(saved)) return;
+
+    const now = Date.now();
+    for (const job of saved) {
+      if (now - job.createdAt > maxAgeMs) {
+        await deadLetter(job, 'expired while worker was down');
+      } else {
+        jobs.push(job);
+      }
+    }
+    if (saved.length) {
+      log.info('retry_queue.restored', { pending: jobs.length, expired: saved.length - jobs.length });
+      await persist();
+    }
+  }
+
+  function enqueue(job, error) {
+    const now = Date.now();
+    const queued = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      ...job,
+      createdAt: now,
+      attempts: 1,
+      nextAttemptAt: now + baseDelayMs,
+      lastError: error ? error.message : undefined,
+    };
+
+    if (error && !isRetryable(error)) {
+      deadLetter(queued, `non-retryable: ${error.message}`);
+      return;
+    }
+
+    jobs.push(queued);
+    persist();
+    schedule();
+  }
+
+  async function processDue() {
+    if (processing) return;
+    processing = true;
+
+    const now = Date.now();
+    const due = jobs.filter((job) => job.nextAttemptAt <= now);
+    for (const job of due) {
+      if (!running) break;
+      try {
+        await send(job);
+        jobs = jobs.filter((item) => item !== job);
+        log.info('retry_queue.succeeded', { id: job.id, symbol: job.symbol, worker: job.type, attempts: job.attempts + 1 });
+      } catch (error) {
+        job.attempts += 1;
+        job.lastError = error.message;
+        const age = Date.now() - job.createdAt;
+        const delay = Math.min(baseDelayMs * 2 ** (job.attempts - 1), maxDelayMs);
+
+        if (!isRetryable(error) || age + delay > maxAgeMs) {
+          jobs = jobs.filter((item) => item !== job);
+          await deadLetter(job, isRetryable(error) ? 'max age exceeded' : `non-retryable: ${error.message}`);
+        } else {
+          job.nextAttemptAt = Date.now() + delay;
+          log.warn('retry_queue.backing_off', { id: job.id, attempts: job.attempts, delayMs: delay, error });
+        }
+      }
+    }
+
+    if (due.length) await persist();
+    processing = false;
+    schedule();
+  }
+
+  function schedule() {
+    if (!running) return;
+    clearTimeout(timer);
+    if (!jobs.length) return;
+
+    const next = Math.min(...jobs.map((job) => job.nextAttemptAt));
+    timer = setTimeout(processDue, Math.max(0, next - Date.now()));
+  }
+
+  function start() {
+    running = true;
+    schedule();
+  }
+
+  async function stop() {
+    running = false;
+    clearTimeout(timer);
+    await writeChain;
+  }
+
+  function getStatus() {
+    const now = Date.now();
+    return {
+      depth: jobs.length,
+      oldestAgeMs: jobs.length ? now - Math.min(...jobs.map((job) => job.createdAt)) : null,
+      deadLettered,
+    };
+  }
+
+  return { load, enqueue, start, stop, getStatus };
+}
+
+module.exports = { createRetryQueue, isRetryable };
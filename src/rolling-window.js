@@ -0,0 +1,155 @@
+/** Rolling window resolution: trades are summed into buckets of this size. */
+const DEFAULT_WINDOW_BUCKET_MS = 1_000;
+/** Longer windows use coarser buckets so no window holds more than this many. */
+const MAX_WINDOW_BUCKETS = 900;
+
+function windowBucketMs(windowMs) {
+  return Math.max(DEFAULT_WINDOW_BUCKET_MS, Math.ceil(windowMs / MAX_WINDOW_BUCKETS));
+}
+
+/**
+ * Fixed-memory rolling sum over `windowMs`, bucketed by `bucketMs`.
+ * Trades are folded into per-bucket sums stored in a ring, so memory does not
+ * depend on trade rate and prune is bounded by the bucket count. Out-of-order
+ * trades land in their own bucket as long as it is still inside the window;
+ * anything older is dropped.
+ */
+function createRollingWindow(windowMs, bucketMs = windowBucketMs(windowMs)) {
+  const size = Math.ceil(windowMs / bucketMs) + 1;
+  const bucketIds = new Float64Array(size).fill(-1);
+  const bucketSums = new Float64Array(size);
+  let sum = 0;
+  let prunedUntil = -Infinity; // first bucket id still inside the window
+
+  function add(ts, value) {
+    const id = Math.floor(ts / bucketMs);
+    if (id < prunedUntil) return;
+
+    const slot = id % size;
+    const current = bucketIds[slot];
+    if (current !== id) {
+      if (current > id) return; // slot already holds a newer bucket
+      sum -= bucketSums[slot];
+      bucketSums[slot] = 0;
+      bucketIds[slot] = id;
+    }
+
+    bucketSums[slot] += value;
+    sum += value;
+  }
+
+  function clearSlot(slot) {
+    sum -= bucketSums[slot];
+    bucketSums[slot] = 0;
+    bucketIds[slot] = -1;
+  }
+
+  function prune(now) {
+    const cutoff = Math.floor((now - windowMs) / bucketMs);
+    if (cutoff <= prunedUntil) return;
+
+    if (cutoff - prunedUntil < size) {
+      for (let id = prunedUntil; id < cutoff; id += 1) {
+        if (bucketIds[id % size] === id) clearSlot(id % size);
+      }
+    } else {
+      // Quiet for longer than the ring: expired buckets can hold any older id
+      for (let slot = 0; slot < size; slot += 1) {
+        if (bucketIds[slot] >= 0 && bucketIds[slot] < cutoff) clearSlot(slot);
+      }
+    }
+    prunedUntil = cutoff;
+  }
+
+  function getSum() {
+    return sum;
+  }
+
+  // Dense copy of the live buckets (cents precision), for persisting across restarts.
+  function snapshot() {
+    let first = Infinity;
+    let last = -Infinity;
+    for (let slot = 0; slot < size; slot += 1) {
+      const id = bucketIds[slot];
+      if (id < 0 || bucketSums[slot] === 0) continue;
+      if (id < first) first = id;
+      if (id > last) last = id;
+    }
+
+    if (first === Infinity) return { bucketMs, start: 0, sums: [] };
+
+    const sums = new Array(last - first + 1).fill(0);
+    for (let slot = 0; slot < size; slot += 1) {
+      const id = bucketIds[slot];
+      if (id >= first) sums[id - first] = Math.round(bucketSums[slot] * 100) / 100;
+    }
+    return { bucketMs, start: first, sums };
+  }
+
+  // Replays a snapshot through add(), so a different bucket size still lands correctly.
+  function restore(data) {
+    if (!data || !Array.isArray(data.sums)) return;
+    data.sums.forEach((value, index) => {
+      if (value) add((data.start + index) * data.bucketMs, value);
+    });
+  }
+
+  return { add, prune, getSum, snapshot, restore };
+}
+
+/**
+ * Rolling window that keeps taker-buy and taker-sell volume apart.
+ * Same add/prune/getSum contract as createRollingWindow; getSum is buy + sell.
+ */
+function createFlowWindow(windowMs, bucketMs) {
+  const buys = createRollingWindow(windowMs, bucketMs);
+  const sells = createRollingWindow(windowMs, bucketMs);
+
+  function add(ts, value, side) {
+    if (side === 'sell') {
+      sells.add(ts, value);
+    } else {
+      buys.add(ts, value);
+    }
+  }
+
+  function prune(now) {
+    buys.prune(now);
+    sells.prune(now);
+  }
+
+  function getSum() {
+    return buys.getSum() + sells.getSum();
+  }
+
+  function getFlow() {
+    const buyVolumeUsd = buys.getSum();
+    const sellVolumeUsd = sells.getSum();
+    const total = buyVolumeUsd + sellVolumeUsd;
+    return {
+      buyVolumeUsd,
+      sellVolumeUsd,
+      netFlowUsd: buyVolumeUsd - sellVolumeUsd,
+      buyRatio: total > 0 ? buyVolumeUsd / total : null,
+    };
+  }
+
+  function snapshot() {
+    return { buy: buys.snapshot(), sell: sells.snapshot() };
+  }
+
+  function restore(data) {
+    if (!data) return;
+    buys.restore(data.buy);
+    sells.restore(data.sell);
+  }
+
+  return { add, prune, getSum, getFlow, snapshot, restore };
+}
+
+module.exports = {
+  DEFAULT_WINDOW_BUCKET_MS,
+  windowBucketMs,
+  createRollingWindow,
+  createFlowWindow,
+};
@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Snapshot store backed by one JSON file per key in `dir`.
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated snapshot behind.
+ *
+ * Any object with the same async `load(key)` / `save(key, data)` shape can be
+ * passed to startWorker instead (e.g. a Redis or S3 backed store).
+ */
+function createFileSnapshotStore(dir) {
+  function fileFor(key) {
+    return path.join(dir, `${key}.json`);
+  }
+
+  async function load(key) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async function save(key, data) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(key);
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+
+  return { load, save };
+}
+
+module.exports = { createFileSnapshotStore };
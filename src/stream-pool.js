@@ -0,0 +1,465 @@
+const WebSocket = require('ws');
+
+const DEFAULT_WS_RETRY_MS = 5_000;
+const MAX_WS_RETRY_MS = 60_000;
+/** Streams per WebSocket connection. Binance futures allows 200, spot 1024; Bybit and OKX are fine at 200. */
+const DEFAULT_STREAMS_PER_CONNECTION = 200;
+/** A connection with no trades or market events for this long is considered stale and recycled. */
+const DEFAULT_STREAM_STALE_MS = 3 * 60_000;
+/** Shards whose symbols trade rarely get this many times their usual gap between data messages... */
+const STALE_GAP_FACTOR = 4;
+/** ...but never more than this many stale periods, so a dead subscription is still caught. */
+const MAX_STALE_FACTOR = 10;
+/** Gaps shorter than this are bursts (one order filling several trades), not quiet periods. */
+const MIN_DATA_GAP_MS = 1_000;
+/** Weight of the newest gap in a shard's running average. */
+const DATA_GAP_SMOOTHING = 0.2;
+/** SUBSCRIBE / UNSUBSCRIBE requests without a reply by then count as failed. */
+const STREAM_REQUEST_TIMEOUT_MS = 10_000;
+
+function chunkSymbols(symbols, size) {
+  const chunks = [];
+  for (let i = 0; i < symbols.length; i += size) {
+    chunks.push(symbols.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Pool of exchange WebSocket connections, speaking the exchange's protocol
+ * through `adapter` (see ./exchanges). Symbols are split into shards of
+ * `shardSize` streams, and every shard connects and backs off on its own so
+ * one dropped socket only blinds its own slice of symbols.
+ *
+ * Symbol list changes are applied with subscribe / unsubscribe requests on
+ * the open sockets (updateSymbols). If the exchange rejects a request or does
+ * not answer in time, only that request's shard reconnects, resubscribing its
+ * current list; the other shards keep streaming.
+ *
+ * A watchdog pings every open socket and terminates any shard that has
+ * delivered no data (trades or market events) for `staleMs`, which triggers
+ * its normal reconnect with backoff. Pongs and request replies do not count:
+ * a connection still answering pings can stop delivering its streams.
+ * Shards of illiquid symbols would trip that on every quiet spell, so each
+ * shard's limit stretches to a few times its usual gap between data messages
+ * (up to MAX_STALE_FACTOR x `staleMs`), and a shard that has never delivered
+ * data at all is kept alive by pongs until its first trade.
+ *
+ * Parsed trades go to `onTrades(trades, shard)`, other market events
+ * (liquidations, mark prices) to `onEvents(events, shard)` and unparseable
+ * messages to `onParseFailure(shard)`.
+ */
+function createStreamPool({
+  adapter,
+  log,
+  shardSize,
+  wsBaseUrl,
+  staleMs = DEFAULT_STREAM_STALE_MS,
+  onTrades,
+  onEvents,
+  onParseFailure,
+  onOpen,
+  onReconnect,
+  onStale,
+}) {
+  let shards = [];
+  let shardSeq = 0;
+  let stopped = false;
+  let watchdogTimer;
+  let requestSeq = 0;
+  const pendingRequests = new Map(); // request id -> { shard, method, params, timer }
+  const unsupportedSymbols = new Set(); // refused by the exchange; not subscribed again until restart
+
+  function createShard(symbols) {
+    shardSeq += 1;
+    return {
+      id: shardSeq,
+      symbols,
+      ws: undefined,
+      status: 'idle',
+      reconnectAttempts: 0,
+      requestFailures: 0, // failed requests since the last acknowledged one; survives reconnects
+      reconnectTimer: undefined,
+      connectedAt: null,
+      lastMessageAt: null,
+      lastDataAt: null, // last message carrying trades or market events
+      dataGapMs: null, // running average of quiet periods between data messages; survives reconnects
+      lastPongAt: null,
+      downSince: Date.now(), // when the shard last stopped being open
+      staleReconnects: 0,
+      retired: false,
+    };
+  }
+
+  function sendRequest(shard, method, symbols) {
+    for (const batch of chunkSymbols(symbols, adapter.maxSymbolsPerRequest)) {
+      requestSeq += 1;
+      const id = requestSeq;
+      const timer = setTimeout(
+        () => failRequest(id, new Error(`No reply within ${STREAM_REQUEST_TIMEOUT_MS}ms`)),
+        STREAM_REQUEST_TIMEOUT_MS
+      );
+      pendingRequests.set(id, { shard, method, symbols: batch, timer });
+
+      shard.ws.send(adapter.buildRequest(method, batch, id), (error) => {
+        if (error) failRequest(id, error);
+      });
+    }
+  }
+
+  function settleRequest(id) {
+    const request = pendingRequests.get(id);
+    if (!request) return undefined;
+    clearTimeout(request.timer);
+    pendingRequests.delete(id);
+    return request;
+  }
+
+  // Reconnects just the request's shard, which resubscribes its current list.
+  // Backoff grows with every failure until a request is acknowledged again.
+  function failRequest(id, error) {
+    const request = settleRequest(id);
+    if (!request) return;
+    const { shard } = request;
+    shard.requestFailures += 1;
+
+    log.error('stream.request_failed', {
+      shard: shard.id,
+      method: request.method,
+      streams: request.symbols.length,
+      requestFailures: shard.requestFailures,
+      fallback: 'shard reconnect',
+      error,
+    });
+
+    clearPendingRequests(shard);
+    if (shard.ws) shard.ws.terminate();
+  }
+
+  /**
+   * A refused subscribe drops the symbols the exchange named (or the only
+   * one asked for) and resubscribes the rest of the batch. When the reply
+   * names none, the batch is retried as two halves and split again on every
+   * refusal down to the culprits, so only two requests go out per reply
+   * instead of a burst over the exchange's message rate limit.
+   */
+  function rejectSubscribe(request, error, named) {
+    const { shard, symbols } = request;
+    const rejected = symbols.length === 1 ? symbols : symbols.filter((symbol) => named.includes(symbol));
+    if (!rejected.length) {
+      log.warn('stream.subscribe_rejected', { shard: shard.id, streams: symbols.length, action: 'retrying in halves', reason: error });
+      if (!isOpen(shard)) return;
+      const half = Math.ceil(symbols.length / 2);
+      sendRequest(shard, 'subscribe', symbols.slice(0, half));
+      sendRequest(shard, 'subscribe', symbols.slice(half));
+      return;
+    }
+
+    rejected.forEach((symbol) => unsupportedSymbols.add(symbol));
+    shard.symbols = shard.symbols.filter((symbol) => !unsupportedSymbols.has(symbol));
+    log.warn('stream.symbols_unsupported', { shard: shard.id, symbols: rejected, reason: error });
+
+    if (!shard.symbols.length) {
+      retireShard(shard);
+      shards = shards.filter((item) => item !== shard);
+      return;
+    }
+    const rest = symbols.filter((symbol) => !unsupportedSymbols.has(symbol));
+    if (rest.length && isOpen(shard)) sendRequest(shard, 'subscribe', rest);
+  }
+
+  // Replies to subscribe / unsubscribe requests, already parsed by the adapter
+  function handleReply({ id, error, symbols: named = [] }) {
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    if (error && request.method === 'subscribe') {
+      settleRequest(id);
+      rejectSubscribe(request, error, named);
+      return;
+    }
+    if (error) {
+      failRequest(id, new Error(error));
+      return;
+    }
+
+    settleRequest(id);
+    request.shard.requestFailures = 0;
+    log.debug('stream.request_acknowledged', { shard: request.shard.id, method: request.method, streams: request.symbols.length });
+  }
+
+  // Handlers may be async: a rejection is logged rather than left unhandled
+  function dispatch(handler, items, shard) {
+    Promise.resolve(handler(items, shard)).catch((error) => {
+      log.error('stream.handler_failed', { shard: shard.id, error });
+    });
+  }
+
+  function handleMessage(message, shard) {
+    const parsed = adapter.parseMessage(message);
+    if (!parsed) {
+      if (onParseFailure) onParseFailure(shard);
+      return;
+    }
+    if (parsed.reply) handleReply(parsed.reply);
+    if (parsed.pong) shard.lastPongAt = Date.now();
+    if (parsed.trades || parsed.events) recordData(shard, Date.now());
+    if (parsed.trades && parsed.trades.length && onTrades) dispatch(onTrades, parsed.trades, shard);
+    if (parsed.events && parsed.events.length && onEvents) dispatch(onEvents, parsed.events, shard);
+  }
+
+  // After a reconnect the gap is measured from the connect: a lower bound, so a
+  // shard recycled for going quiet still learns how quiet its symbols are
+  function recordData(shard, now) {
+    const gapMs = now - Math.max(shard.lastDataAt || 0, shard.connectedAt || 0);
+    if (gapMs >= MIN_DATA_GAP_MS) {
+      shard.dataGapMs = shard.dataGapMs === null ? gapMs : shard.dataGapMs + DATA_GAP_SMOOTHING * (gapMs - shard.dataGapMs);
+    }
+    shard.lastDataAt = now;
+  }
+
+  function connectShard(shard) {
+    if (stopped || shard.retired) return;
+
+    const url = adapter.buildUrl(shard.symbols, wsBaseUrl);
+    if (!url) {
+      log.warn('ws.url_missing', { shard: shard.id, action: 'skipping connection' });
+      return;
+    }
+
+    const ws = new WebSocket(url);
+    shard.ws = ws;
+    shard.status = 'connecting';
+
+    ws.on('open', () => {
+      shard.status = 'open';
+      shard.connectedAt = Date.now();
+      shard.downSince = null;
+      shard.reconnectAttempts = 0;
+      // Exchanges without streams in the URL start every connection empty; the
+      // others are subscribed by the URL itself, so a failed request is behind them
+      if (adapter.subscribeOnOpen && shard.symbols.length) sendRequest(shard, 'subscribe', shard.symbols);
+      else shard.requestFailures = 0;
+      if (onOpen) onOpen(shard);
+    });
+
+    ws.on('pong', () => {
+      shard.lastPongAt = Date.now();
+    });
+
+    ws.on('message', (message) => {
+      shard.lastMessageAt = Date.now();
+      handleMessage(message, shard);
+    });
+
+    ws.on('close', (code) => {
+      shard.status = 'closed';
+      shard.connectedAt = null;
+      shard.downSince = shard.downSince || Date.now();
+      clearPendingRequests(shard);
+      if (stopped || shard.retired) return;
+
+      log.warn('ws.closed', { shard: shard.id, code, reconnectAttempts: shard.reconnectAttempts + 1 });
+      scheduleReconnect(shard);
+    });
+
+    ws.on('error', (error) => {
+      log.error('ws.error', { shard: shard.id, error });
+      ws.terminate();
+    });
+  }
+
+  function scheduleReconnect(shard) {
+    shard.reconnectAttempts += 1;
+    const delay = Math.min(
+      DEFAULT_WS_RETRY_MS * 2 ** (shard.reconnectAttempts - 1 + shard.requestFailures),
+      MAX_WS_RETRY_MS
+    );
+
+    shard.status = 'reconnecting';
+    shard.reconnectTimer = setTimeout(() => connectShard(shard), delay);
+    if (onReconnect) onReconnect(shard, delay);
+  }
+
+  function retireShard(shard) {
+    shard.retired = true;
+    clearTimeout(shard.reconnectTimer);
+    if (shard.ws) shard.ws.close();
+  }
+
+  // Without a shard, drops everything; with one, only that shard's requests
+  // (its reconnect URL already reflects the updated symbol list).
+  function clearPendingRequests(shard) {
+    for (const [id, request] of pendingRequests) {
+      if (shard && request.shard !== shard) continue;
+      clearTimeout(request.timer);
+      pendingRequests.delete(id);
+    }
+  }
+
+  function isOpen(shard) {
+    return shard.ws && shard.ws.readyState === WebSocket.OPEN;
+  }
+
+  // Replaces all shards with fresh connections (startup).
+  function setSymbols(wanted) {
+    if (!watchdogTimer && !stopped) scheduleWatchdog(); // first connect starts the watchdog
+    const symbols = wanted.filter((symbol) => !unsupportedSymbols.has(symbol));
+    clearPendingRequests();
+    shards.forEach(retireShard);
+
+    shards = chunkSymbols(symbols, shardSize).map(createShard);
+    shards.forEach(connectShard);
+  }
+
+  /**
+   * Applies a new symbol list without dropping unaffected streams: removed
+   * symbols are unsubscribed on their shard, added ones fill spare capacity
+   * first and only then open new shards. Shards that are not currently open
+   * just get their list updated and pick it up on their next connect.
+   */
+  function updateSymbols(wanted) {
+    if (!shards.length) {
+      setSymbols(wanted);
+      return;
+    }
+
+    const symbols = wanted.filter((symbol) => !unsupportedSymbols.has(symbol));
+    const next = new Set(symbols);
+    const current = new Set(shards.flatMap((shard) => shard.symbols));
+    const added = symbols.filter((symbol) => !current.has(symbol));
+    const removed = Array.from(current).filter((symbol) => !next.has(symbol));
+
+    for (const shard of shards) {
+      const dropped = shard.symbols.filter((symbol) => !next.has(symbol));
+      if (!dropped.length) continue;
+
+      shard.symbols = shard.symbols.filter((symbol) => next.has(symbol));
+      if (!shard.symbols.length) {
+        retireShard(shard);
+      } else if (isOpen(shard)) {
+        sendRequest(shard, 'unsubscribe', dropped);
+      }
+    }
+    shards = shards.filter((shard) => !shard.retired);
+
+    let queue = added;
+    for (const shard of shards) {
+      const free = shardSize - shard.symbols.length;
+      if (free <= 0 || !queue.length) continue;
+
+      const batch = queue.slice(0, free);
+      queue = queue.slice(free);
+      shard.symbols = shard.symbols.concat(batch);
+      if (isOpen(shard)) {
+        sendRequest(shard, 'subscribe', batch);
+      }
+    }
+
+    const newShards = chunkSymbols(queue, shardSize).map(createShard);
+    shards = shards.concat(newShards);
+    newShards.forEach(connectShard);
+
+    log.info('stream.symbols_updated', {
+      added: added.length,
+      removed: removed.length,
+      newShards: newShards.length,
+      shards: shards.length,
+    });
+  }
+
+  function isRunning() {
+    return shards.length > 0;
+  }
+
+  // Pongs only count until the shard's first data: its symbols may just not have traded yet
+  function lastActivityAt(shard) {
+    const lastSeenAt = shard.lastDataAt === null ? shard.lastPongAt : shard.lastDataAt;
+    return Math.max(shard.connectedAt || 0, lastSeenAt || 0);
+  }
+
+  function staleLimitMs(shard) {
+    if (shard.dataGapMs === null) return staleMs;
+    return Math.min(Math.max(staleMs, STALE_GAP_FACTOR * shard.dataGapMs), MAX_STALE_FACTOR * staleMs);
+  }
+
+  // Open shards are healthy while active; closed ones get `staleMs` to reconnect.
+  function isHealthy(shard, now) {
+    if (shard.status === 'open') return now - lastActivityAt(shard) <= staleLimitMs(shard);
+    return now - (shard.downSince || now) <= staleMs;
+  }
+
+  function checkStaleShards() {
+    const now = Date.now();
+    for (const shard of shards) {
+      if (shard.status !== 'open' || !shard.ws) continue;
+
+      const silentMs = now - lastActivityAt(shard);
+      const limitMs = staleLimitMs(shard);
+      if (silentMs > limitMs) {
+        shard.staleReconnects += 1;
+        log.warn('ws.stale', {
+          shard: shard.id,
+          silentSeconds: Math.round(silentMs / 1000),
+          limitSeconds: Math.round(limitMs / 1000),
+          action: 'forcing reconnect',
+        });
+        if (onStale) onStale(shard);
+        shard.ws.terminate();
+      } else if (adapter.ping) {
+        shard.ws.send(adapter.ping());
+      } else {
+        shard.ws.ping();
+      }
+    }
+  }
+
+  function scheduleWatchdog() {
+    // Check several times per stale period so detection lags by at most a quarter of it,
+    // and at least as often as the exchange expects a heartbeat
+    const intervalMs = Math.min(Math.floor(staleMs / 4), adapter.heartbeatMs || Infinity);
+    watchdogTimer = setTimeout(() => {
+      checkStaleShards();
+      if (!stopped) scheduleWatchdog();
+    }, Math.max(1_000, intervalMs));
+  }
+
+  function getStatus() {
+    const now = Date.now();
+    return shards.map((shard) => ({
+      id: shard.id,
+      status: shard.status,
+      healthy: isHealthy(shard, now),
+      symbolCount: shard.symbols.length,
+      reconnectAttempts: shard.reconnectAttempts,
+      staleReconnects: shard.staleReconnects,
+      connectedAt: shard.connectedAt,
+      lastMessageAt: shard.lastMessageAt,
+      lastDataAt: shard.lastDataAt,
+      lastPongAt: shard.lastPongAt,
+      staleLimitMs: Math.round(staleLimitMs(shard)),
+    }));
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(watchdogTimer);
+    clearPendingRequests();
+    shards.forEach(retireShard);
+  }
+
+  return {
+    setSymbols,
+    updateSymbols,
+    isRunning,
+    getStatus,
+    getUnsupportedSymbols: () => Array.from(unsupportedSymbols),
+    stop,
+  };
+}
+
+module.exports = {
+  DEFAULT_STREAMS_PER_CONNECTION,
+  DEFAULT_STREAM_STALE_MS,
+  createStreamPool,
+};
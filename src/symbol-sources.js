@@ -0,0 +1,165 @@
+const fetch = require('cross-fetch');
+const { splitSymbol } = require('./usd-rates');
+
+/**
+ * Major coins never tracked. Each entry also excludes its base asset against
+ * any quote (btcusdc, ethbtc, usdttry, ...). EXCLUDED_SYMBOLS and the settings
+ * API add to this list; they cannot remove from it.
+ */
+const DEFAULT_EXCLUDED_SYMBOLS = [
+  'btcusdt',
+  'ethusdt',
+  'solusdt',
+  'bnbusdt',
+  'bchusdt',
+  'xrpusdt',
+  'linkusdt',
+  'dogeusdt',
+  'usdcusdt',
+  'usdtusdt',
+  'wbtcusdt',
+  'usd1usdt',
+  'fdusdusdt',
+];
+
+/** Binance-style REST bases; discovery reads `/exchangeInfo` and `/ticker/24hr` under them. */
+const DEFAULT_DISCOVERY_URLS = {
+  spot: 'https://api.binance.com/api/v3',
+  futures: 'https://fapi.binance.com/fapi/v1',
+};
+
+/** `usd1usdt, *UP*` or ['usd1usdt'] -> ['usd1usdt', '*up*'] */
+function parseSymbolList(raw) {
+  if (!raw) return [];
+  const items = Array.isArray(raw) ? raw : String(raw).split(',');
+  return Array.from(new Set(items.map((item) => String(item).trim().toLowerCase()).filter(Boolean)));
+}
+
+// `*` matches any run of characters, `?` a single one; everything else is literal
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Merges symbol rules from env and the settings API. Exclusions and exclude
+ * patterns add up; include patterns from the API replace those from env.
+ */
+function mergeSymbolRules(base = {}, override = {}) {
+  const includePatterns = override.includePatterns && override.includePatterns.length
+    ? override.includePatterns
+    : base.includePatterns || [];
+  return {
+    excludedSymbols: parseSymbolList([...(base.excludedSymbols || []), ...(override.excludedSymbols || [])]),
+    includePatterns,
+    excludePatterns: parseSymbolList([...(base.excludePatterns || []), ...(override.excludePatterns || [])]),
+  };
+}
+
+/**
+ * Decides which symbols are tracked:
+ *
+ * - excludedSymbols: symbols (`usd1usdt`) or base assets (`usd1`), on top of
+ *   DEFAULT_EXCLUDED_SYMBOLS. A symbol excludes its base asset against every quote.
+ * - includePatterns: when set, only symbols matching one are tracked.
+ * - excludePatterns: symbols matching one are not tracked.
+ *
+ * Patterns are globs over the whole symbol, e.g. `*up*` or `1000*`.
+ * Exclusions win over includes.
+ */
+function createSymbolFilter({ excludedSymbols = [], includePatterns = [], excludePatterns = [] } = {}) {
+  const excluded = parseSymbolList([...DEFAULT_EXCLUDED_SYMBOLS, ...excludedSymbols]);
+  const excludedNames = new Set(excluded);
+  const excludedBases = new Set(excluded.map((entry) => (splitSymbol(entry) || { base: entry }).base));
+  const includes = parseSymbolList(includePatterns).map(globToRegExp);
+  const excludes = parseSymbolList(excludePatterns).map(globToRegExp);
+
+  function allows(symbol) {
+    if (excludedNames.has(symbol)) return false;
+    const parts = splitSymbol(symbol);
+    if (parts && excludedBases.has(parts.base)) return false;
+    if (excludes.some((pattern) => pattern.test(symbol))) return false;
+    return !includes.length || includes.some((pattern) => pattern.test(symbol));
+  }
+
+  return {
+    allows,
+    rules: {
+      excludedSymbols: excluded,
+      includePatterns: parseSymbolList(includePatterns),
+      excludePatterns: parseSymbolList(excludePatterns),
+    },
+  };
+}
+
+async function fetchJson(url, what) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Failed to fetch ${what} (${response.status} ${response.statusText}): ${text}`);
+  }
+  return response.json();
+}
+
+// USD per unit of `quote` from the 24h tickers themselves (btcusdt, usdttry, ...)
+function tickerUsdRate(quote, lastPrices) {
+  if (quote === 'usdt') return 1;
+  const direct = lastPrices.get(`${quote}usdt`);
+  if (direct > 0) return direct;
+  const inverse = lastPrices.get(`usdt${quote}`);
+  return inverse > 0 ? 1 / inverse : undefined;
+}
+
+/**
+ * Builds a symbol list from a Binance-style exchangeInfo endpoint: symbols
+ * with status TRADING (perpetual contracts only on futures) whose quote asset
+ * is one of `quoteAssets`. With `minVolumeUsd`, the 24h tickers are fetched as
+ * well and quieter symbols are left out; a quote volume that cannot be
+ * converted to USD counts as too low.
+ */
+async function discoverSymbols({
+  url,
+  market = 'spot',
+  quoteAssets,
+  minVolumeUsd = 0,
+  toUsd = () => undefined,
+}) {
+  const base = (url || DEFAULT_DISCOVERY_URLS[market]).replace(/\/$/, '');
+  const info = await fetchJson(`${base}/exchangeInfo`, `${market} exchangeInfo`);
+  if (!info || !Array.isArray(info.symbols)) {
+    throw new Error(`${market} exchangeInfo returned unexpected payload`);
+  }
+
+  let symbols = info.symbols
+    .filter((item) => item.status === 'TRADING')
+    .filter((item) => market !== 'futures' || !item.contractType || item.contractType === 'PERPETUAL')
+    .filter((item) => quoteAssets.includes(String(item.quoteAsset).toLowerCase()))
+    .map((item) => String(item.symbol).toLowerCase());
+
+  if (minVolumeUsd > 0) {
+    const tickers = await fetchJson(`${base}/ticker/24hr`, `${market} 24h tickers`);
+    if (!Array.isArray(tickers)) throw new Error(`${market} 24h tickers returned unexpected payload`);
+
+    const lastPrices = new Map(tickers.map((ticker) => [String(ticker.symbol).toLowerCase(), Number(ticker.lastPrice)]));
+    const volumes = new Map(tickers.map((ticker) => [String(ticker.symbol).toLowerCase(), Number(ticker.quoteVolume)]));
+    symbols = symbols.filter((symbol) => {
+      const quoteVolume = volumes.get(symbol);
+      const parts = splitSymbol(symbol, quoteAssets);
+      if (!Number.isFinite(quoteVolume) || !parts) return false;
+      const rate = tickerUsdRate(parts.quote, lastPrices);
+      const volumeUsd = toUsd(symbol, quoteVolume) ?? (rate === undefined ? undefined : quoteVolume * rate);
+      return volumeUsd >= minVolumeUsd;
+    });
+  }
+
+  return symbols;
+}
+
+module.exports = {
+  DEFAULT_EXCLUDED_SYMBOLS,
+  DEFAULT_DISCOVERY_URLS,
+  parseSymbolList,
+  mergeSymbolRules,
+  createSymbolFilter,
+  discoverSymbols,
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+
+const DEFAULT_MAX_FILE_BYTES = 256 * 1024 * 1024;
+const DEFAULT_MAX_TOTAL_BYTES = 5 * 1024 * 1024 * 1024;
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60_000;
+const DEFAULT_MAX_BUFFERED_TRADES = 50_000;
+const DEFAULT_FLUSH_INTERVAL_MS = 1_000;
+
+/** trades-2024-05-01T13.ndjson.gz, then trades-2024-05-01T13.1.ndjson.gz once that hour hits the size limit */
+const FILE_PATTERN = /^trades-(\d{4}-\d{2}-\d{2}T\d{2})(?:\.(\d+))?\.ndjson\.gz$/;
+
+function hourKey(ts) {
+  return new Date(ts).toISOString().slice(0, 13);
+}
+
+/**
+ * Records normalized trades (`{ exchange, market, symbol, time, price, qty, quoteUsd, side, tradeId }`)
+ * to gzipped NDJSON files in `dir`, one file per UTC hour.
+ *
+ * record() only appends to an in-memory buffer, which a timer drains into the
+ * gzip stream. If the disk falls behind, the buffer stops draining and trades
+ * past `maxBufferedTrades` are dropped (and counted) instead of growing memory.
+ * After each rotation, files older than `retentionMs` and the oldest files
+ * beyond `maxTotalBytes` are deleted.
+ */
+function createTradeRecorder({
+  dir,
+  log,
+  maxFileBytes = DEFAULT_MAX_FILE_BYTES,
+  maxTotalBytes = DEFAULT_MAX_TOTAL_BYTES,
+  retentionMs = DEFAULT_RETENTION_MS,
+  maxBufferedTrades = DEFAULT_MAX_BUFFERED_TRADES,
+  flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+}) {
+  let buffer = [];
+  let current; // { hour, file, gzip, out }
+  let timer;
+  let flushing = false;
+  let blocked = false; // gzip stream is full; wait for 'drain'
+  let stopped = false;
+  let written = 0;
+  let dropped = 0;
+  let droppedSinceLog = 0;
+
+  function record(trade) {
+    if (stopped) return;
+    if (buffer.length >= maxBufferedTrades) {
+      if (!droppedSinceLog) log.warn('recorder.dropping', { buffered: buffer.length });
+      dropped += 1;
+      droppedSinceLog += 1;
+      return;
+    }
+    buffer.push(trade);
+  }
+
+  // Never reuse a file: after a restart within the same hour, continue with the next part
+  async function nextFile(hour) {
+    let part = 0;
+    for (const name of await fsp.readdir(dir)) {
+      const match = FILE_PATTERN.exec(name);
+      if (match && match[1] === hour) part = Math.max(part, Number(match[2] || 0) + 1);
+    }
+    return path.join(dir, `trades-${hour}${part ? `.${part}` : ''}.ndjson.gz`);
+  }
+
+  async function open(hour) {
+    await fsp.mkdir(dir, { recursive: true });
+    const file = await nextFile(hour);
+    const gzip = zlib.createGzip();
+    const out = fs.createWriteStream(file, { flags: 'wx' });
+    gzip.pipe(out);
+
+    const target = { hour, file, gzip, out };
+    out.on('error', (error) => {
+      log.error('recorder.write_failed', { file, error });
+      gzip.destroy();
+      // Abandon the file; the next flush opens a fresh one
+      if (current === target) {
+        current = undefined;
+        blocked = false;
+      }
+    });
+
+    current = target;
+    log.debug('recorder.file_opened', { file });
+  }
+
+  function close(target) {
+    return new Promise((resolve) => {
+      if (target.out.destroyed) {
+        resolve();
+        return;
+      }
+      target.out.once('close', resolve);
+      target.gzip.end();
+    });
+  }
+
+  async function prune() {
+    let entries;
+    try {
+      const names = (await fsp.readdir(dir)).filter((name) => FILE_PATTERN.test(name));
+      entries = await Promise.all(names.map(async (name) => {
+        const file = path.join(dir, name);
+        const { size, mtimeMs } = await fsp.stat(file);
+        return { file, size, mtimeMs };
+      }));
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.error('recorder.prune_failed', { error });
+      return;
+    }
+
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    const now = Date.now();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of entries) {
+      if (current && entry.file === current.file) continue;
+      const expired = now - entry.mtimeMs > retentionMs;
+      if (!expired && total <= maxTotalBytes) break;
+
+      try {
+        await fsp.unlink(entry.file);
+        total -= entry.size;
+        log.info('recorder.file_removed', { file: entry.file, reason: expired ? 'retention' : 'size limit' });
+      } catch (error) {
+        log.error('recorder.prune_failed', { file: entry.file, error });
+      }
+    }
+  }
+
+  async function flush({ force = false } = {}) {
+    if (flushing || (blocked && !force) || !buffer.length) return;
+    flushing = true;
+
+    try {
+      const hour = hourKey(Date.now());
+      if (current && (current.hour !== hour || current.out.bytesWritten >= maxFileBytes)) {
+        const previous = current;
+        current = undefined;
+        await close(previous);
+        await prune();
+      }
+      if (!current) await open(hour);
+
+      const batch = buffer;
+      buffer = [];
+      written += batch.length;
+      const chunk = `${batch.map((trade) => JSON.stringify(trade)).join('\n')}\n`;
+
+      if (!current.gzip.write(chunk)) {
+        blocked = true;
+        current.gzip.once('drain', () => {
+          blocked = false;
+        });
+      }
+
+      if (droppedSinceLog) {
+        log.warn('recorder.dropped', { trades: droppedSinceLog });
+        droppedSinceLog = 0;
+      }
+    } catch (error) {
+      log.error('recorder.flush_failed', { error });
+    } finally {
+      flushing = false;
+    }
+  }
+
+  function scheduleFlush() {
+    timer = setTimeout(async () => {
+      await flush();
+      if (!stopped) scheduleFlush();
+    }, flushIntervalMs);
+  }
+
+  async function start() {
+    await fsp.mkdir(dir, { recursive: true });
+    await prune();
+    scheduleFlush();
+  }
+
+  // Writes what is still buffered and closes the current file so it is a complete gzip
+  async function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    while (flushing) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    await flush({ force: true });
+    if (current) {
+      const previous = current;
+      current = undefined;
+      await close(previous);
+    }
+  }
+
+  function getStatus() {
+    return {
+      file: current ? current.file : null,
+      buffered: buffer.length,
+      written,
+      dropped,
+    };
+  }
+
+  return { record, start, stop, getStatus };
+}
+
+module.exports = { createTradeRecorder, FILE_PATTERN };
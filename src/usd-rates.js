@@ -0,0 +1,100 @@
+const DEFAULT_MAX_AGE_MS = 15 * 60_000;
+
+/**
+ * Supported quote assets, longest first so `btcfdusd` splits as btc/fdusd.
+ * USDT is the unit of account (treated as USD, as before); every other quote
+ * is converted through a USDT pair, inverted where Binance lists USDT as the
+ * base (`usdttry`: price is TRY per USDT).
+ */
+const QUOTE_ASSETS = ['fdusd', 'usdt', 'usdc', 'try', 'eur', 'btc', 'eth'];
+const CONVERSION_PAIRS = {
+  fdusd: { symbol: 'fdusdusdt' },
+  usdc: { symbol: 'usdcusdt' },
+  try: { symbol: 'usdttry', invert: true },
+  eur: { symbol: 'eurusdt' },
+  btc: { symbol: 'btcusdt' },
+  eth: { symbol: 'ethusdt' },
+};
+
+/** `ethbtc` -> { base: 'eth', quote: 'btc' }; undefined for unknown quotes. */
+function splitSymbol(symbol, quoteAssets = QUOTE_ASSETS) {
+  const normalized = String(symbol).toLowerCase();
+  const quote = QUOTE_ASSETS.find((asset) => quoteAssets.includes(asset)
+    && normalized.length > asset.length
+    && normalized.endsWith(asset));
+  return quote ? { base: normalized.slice(0, -quote.length), quote } : undefined;
+}
+
+/** `usdt,usdc,TRY` -> ['usdt', 'usdc', 'try']; throws on assets without a conversion pair. */
+function parseQuoteAssets(raw) {
+  const assets = String(raw).split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+  const unknown = assets.filter((asset) => !QUOTE_ASSETS.includes(asset));
+  if (!assets.length || unknown.length) {
+    throw new Error(`expected a list of ${QUOTE_ASSETS.join(', ')}`);
+  }
+  return Array.from(new Set(assets));
+}
+
+/**
+ * Live USD reference prices for the enabled quote assets, fed by trades on
+ * the conversion pairs (see conversionSymbols()). toUsd() returns undefined
+ * when a rate has not arrived yet or is older than `maxAgeMs`, so callers can
+ * drop the trade instead of alerting on a wrong amount.
+ */
+function createUsdRates({ quoteAssets = ['usdt'], maxAgeMs = DEFAULT_MAX_AGE_MS, clock = Date.now } = {}) {
+  const rates = new Map(); // quote asset -> { rate, updatedAt }
+  const pairs = new Map(); // conversion symbol -> [quote asset, pair]
+  for (const asset of quoteAssets) {
+    if (CONVERSION_PAIRS[asset]) pairs.set(CONVERSION_PAIRS[asset].symbol, [asset, CONVERSION_PAIRS[asset]]);
+  }
+
+  function update(symbol, price, time = clock()) {
+    const entry = pairs.get(symbol);
+    if (!entry || !(price > 0)) return;
+    const [asset, pair] = entry;
+    rates.set(asset, { rate: pair.invert ? 1 / price : price, updatedAt: time });
+  }
+
+  function getRate(quote, now = clock()) {
+    if (quote === 'usdt') return 1;
+    const entry = rates.get(quote);
+    if (!entry || now - entry.updatedAt > maxAgeMs) return undefined;
+    return entry.rate;
+  }
+
+  // Quote amount of a trade on `symbol` in USD, or undefined without a fresh rate
+  function toUsd(symbol, quoteAmount, now = clock()) {
+    const parts = splitSymbol(symbol, quoteAssets);
+    if (!parts) return undefined;
+    const rate = getRate(parts.quote, now);
+    return rate === undefined ? undefined : quoteAmount * rate;
+  }
+
+  function supports(symbol) {
+    return Boolean(splitSymbol(symbol, quoteAssets));
+  }
+
+  function getStatus(now = clock()) {
+    return Object.fromEntries(quoteAssets.map((asset) => {
+      if (asset === 'usdt') return [asset, { rate: 1, ageMs: null, stale: false }];
+      const entry = rates.get(asset);
+      return [asset, {
+        rate: entry ? entry.rate : null,
+        ageMs: entry ? now - entry.updatedAt : null,
+        stale: !entry || now - entry.updatedAt > maxAgeMs,
+      }];
+    }));
+  }
+
+  return {
+    quoteAssets,
+    conversionSymbols: () => Array.from(pairs.keys()),
+    update,
+    getRate,
+    toUsd,
+    supports,
+    getStatus,
+  };
+}
+
+module.exports = { QUOTE_ASSETS, splitSymbol, parseQuoteAssets, createUsdRates };
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertDigest, createPushLimiter } = require('../src/alert-digest');
+const { createLogger } = require('../src/logger');
+
+// Digest on a simulated clock, as replay runs it; deliveries are recorded in
+// order and take a slot from the limiter, as the worker's delivery does
+function createTestDigest(options = {}) {
+  const clock = { now: 0 };
+  const sent = [];
+  const push = (item) => {
+    if (options.limiter) options.limiter.take(clock.now);
+    sent.push(item);
+  };
+  const digest = createAlertDigest({
+    send: async (alert) => push({ type: 'alert', symbol: alert.symbol }),
+    sendDigest: async (merged) => push({ type: 'digest', ...merged }),
+    log: createLogger('error'),
+    clock: () => clock.now,
+    timers: false,
+    windowMs: 5_000,
+    minSymbols: 3,
+    topMovers: 2,
+    ...options,
+  });
+  return { digest, sent, clock };
+}
+
+function alert(symbol, volumeUsd, at, window = '15m') {
+  return { symbol, volumeUsd, at, details: { window, windowMinutes: 15, trigger: 'absolute', tier: 1 } };
+}
+
+test('push limiter: sliding one-minute budget', () => {
+  const limiter = createPushLimiter({ maxPerMinute: 2 });
+
+  assert.equal(limiter.available(0), 2);
+  limiter.take(0);
+  limiter.take(10_000);
+  assert.equal(limiter.available(30_000), 0);
+  assert.equal(limiter.nextSlotAt(30_000), 60_000);
+  assert.equal(limiter.available(60_000), 1);
+  assert.equal(createPushLimiter().available(0), Infinity);
+});
+
+test('digest: without a window every alert goes out at once', async () => {
+  const { digest, sent } = createTestDigest({ windowMs: 0 });
+
+  await digest.add(alert('pepeusdt', 500_000, 0));
+  assert.deepEqual(sent, [{ type: 'alert', symbol: 'pepeusdt' }]);
+});
+
+test('digest: a few symbols within the window are sent one by one when it closes', async () => {
+  const { digest, sent, clock } = createTestDigest();
+
+  await digest.add(alert('pepeusdt', 500_000, 0));
+  clock.now = 2_000;
+  await digest.add(alert('wifusdt', 700_000, 2_000));
+  await digest.poll(4_999);
+  assert.equal(sent.length, 0);
+  assert.deepEqual(digest.getStatus(), { pending: 2, nextFlushAt: 5_000 });
+
+  clock.now = 5_000;
+  await digest.poll(5_000);
+  assert.deepEqual(sent.map((item) => item.symbol), ['pepeusdt', 'wifusdt']);
+});
+
+test('digest: more than minSymbols are merged, ranked by their largest window', async () => {
+  const { digest, sent, clock } = createTestDigest();
+
+  await digest.add(alert('aaausdt', 400_000, 0));
+  await digest.add(alert('bbbusdt', 900_000, 1_000));
+  await digest.add(alert('aaausdt', 1_200_000, 1_500, '1h'));
+  await digest.add(alert('cccusdt', 600_000, 2_000));
+  await digest.add(alert('dddusdt', 450_000, 3_000));
+  clock.now = 5_000;
+  await digest.flush();
+
+  assert.equal(sent.length, 1);
+  const [merged] = sent;
+  assert.equal(merged.type, 'digest');
+  assert.equal(merged.symbolCount, 4);
+  assert.equal(merged.alertCount, 5);
+  assert.equal(merged.totalVolumeUsd, 1_200_000 + 900_000 + 600_000 + 450_000);
+  assert.deepEqual([merged.firstTriggeredAt, merged.lastTriggeredAt], [0, 3_000]);
+  assert.deepEqual(merged.movers.map((mover) => [mover.symbol, mover.window]), [['aaausdt', '1h'], ['bbbusdt', '15m']]);
+  assert.equal(merged.omitted, 2);
+});
+
+test('digest: alerts beyond the push budget are merged, then held until a slot frees', async () => {
+  const limiter = createPushLimiter({ maxPerMinute: 2 });
+  const { digest, sent, clock } = createTestDigest({ limiter });
+
+  await digest.add(alert('aaausdt', 400_000, 0));
+  await digest.add(alert('bbbusdt', 500_000, 0));
+  await digest.add(alert('cccusdt', 600_000, 0));
+  clock.now = 5_000;
+  await digest.poll(5_000); // three alerts, two slots: one digest
+  assert.deepEqual(sent.map((item) => item.type), ['digest']);
+
+  await digest.add(alert('dddusdt', 700_000, 5_000));
+  clock.now = 10_000;
+  await digest.poll(10_000); // one slot left
+  clock.now = 11_000;
+  await digest.add(alert('eeeusdt', 800_000, 11_000));
+  clock.now = 16_000;
+  await digest.poll(16_000); // no budget: held until the first push is a minute old
+  assert.equal(sent.length, 2);
+  assert.equal(digest.getStatus().nextFlushAt, 65_000);
+
+  clock.now = 65_000;
+  await digest.poll(65_000);
+  assert.deepEqual(sent.map((item) => item.symbol || item.type), ['digest', 'dddusdt', 'eeeusdt']);
+});
+
+test('digest: stop() delivers what is pending even without budget', async () => {
+  const limiter = createPushLimiter({ maxPerMinute: 1 });
+  limiter.take(0);
+  const { digest, sent } = createTestDigest({ limiter });
+
+  await digest.add(alert('aaausdt', 400_000, 0));
+  await digest.add(alert('bbbusdt', 500_000, 0));
+  await digest.stop();
+  await digest.add(alert('cccusdt', 600_000, 0)); // ignored once stopped
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].type, 'digest');
+  assert.equal(sent[0].symbolCount, 2);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAlertId, signAlertRequest, verifyAlertRequest } = require('../src/alert-signing');
+
+const MINUTE = 60_000;
+const SECRET = 'test-secret';
+
+function volumeAlert(at, extra = {}) {
+  return {
+    alert: 'volume',
+    market: 'spot',
+    symbol: 'pepeusdt',
+    at,
+    cooldownMs: 5 * MINUTE,
+    details: { window: '15m', windowMinutes: 15, tier: 1 },
+    ...extra,
+  };
+}
+
+function digestAlert(firstTriggeredAt, symbols) {
+  return {
+    alert: 'digest',
+    market: 'spot',
+    at: firstTriggeredAt + 5_000,
+    details: { firstTriggeredAt, movers: symbols.map((symbol) => ({ symbol, window: '5m' })) },
+  };
+}
+
+// A request as the worker sends it: alertId in the body and the headers
+function signedRequest(alertId, { timestamp = 1_000_000, body = JSON.stringify({ alertId, symbol: 'pepeusdt' }) } = {}) {
+  return { body, headers: signAlertRequest({ body, alertId, secret: SECRET, timestamp }) };
+}
+
+test('buildAlertId: one ID per cooldown, even with a longer window', () => {
+  assert.equal(buildAlertId(volumeAlert(0)), 'volume:spot:pepeusdt:15m:0');
+  assert.equal(buildAlertId(volumeAlert(5 * MINUTE - 1)), buildAlertId(volumeAlert(0)));
+  // The next alert a cooldown later is a new one, although it is within the 15m window
+  assert.notEqual(buildAlertId(volumeAlert(5 * MINUTE + 10_000)), buildAlertId(volumeAlert(10_000)));
+  assert.equal(
+    buildAlertId(volumeAlert(MINUTE, { details: { window: '15m', windowMinutes: 15, tier: 2, escalation: true } })),
+    'volume:spot:pepeusdt:15m:0:x2'
+  );
+});
+
+test('buildAlertId: bucket edges are fixed, escalations keep their cooldown\'s bucket', () => {
+  // Two instances crossing the threshold 2ms apart, on either side of an edge
+  assert.equal(buildAlertId(volumeAlert(5 * MINUTE - 1)), 'volume:spot:pepeusdt:15m:0');
+  assert.equal(buildAlertId(volumeAlert(5 * MINUTE + 1)), 'volume:spot:pepeusdt:15m:1');
+
+  // An escalation after the edge still belongs to the alert that started its cooldown at 4m
+  const escalation = volumeAlert(5 * MINUTE + 30_000, {
+    cooldownStartedAt: 4 * MINUTE,
+    details: { window: '15m', windowMinutes: 15, tier: 2, escalation: true },
+  });
+  assert.equal(buildAlertId(escalation), 'volume:spot:pepeusdt:15m:0:x2');
+});
+
+test('buildAlertId: without a cooldown the window length, else one minute', () => {
+  assert.equal(buildAlertId(volumeAlert(14 * MINUTE, { cooldownMs: undefined })), 'volume:spot:pepeusdt:15m:0');
+  assert.equal(buildAlertId({ alert: 'funding', market: 'futures', symbol: 'btcusdt', at: 2 * MINUTE }), 'funding:futures:btcusdt:-:2');
+  assert.equal(buildAlertId(volumeAlert(1, { cooldownMs: 0 })), 'volume:spot:pepeusdt:15m:1');
+});
+
+test('buildAlertId: digests are told apart by their content', () => {
+  const first = buildAlertId(digestAlert(0, ['aaausdt', 'bbbusdt']));
+
+  assert.match(first, /^digest:spot:\*:-:0:[0-9a-f]{12}$/);
+  assert.equal(buildAlertId(digestAlert(0, ['bbbusdt', 'aaausdt'])), first);
+  // Two digests flushed within the same minute
+  assert.notEqual(buildAlertId(digestAlert(0, ['cccusdt', 'dddusdt'])), first);
+  assert.notEqual(buildAlertId(digestAlert(10_000, ['aaausdt', 'bbbusdt'])), first);
+});
+
+test('verifyAlertRequest: accepts a signed request and returns the signed alert ID', () => {
+  const { body, headers } = signedRequest('volume:spot:pepeusdt:15m:0');
+  const lowercased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  assert.deepEqual(verifyAlertRequest({ body, headers: lowercased, secret: SECRET, now: 1_000_000 }), {
+    ok: true,
+    alertId: 'volume:spot:pepeusdt:15m:0',
+    timestamp: 1_000_000,
+  });
+});
+
+test('verifyAlertRequest: rejects tampering, stale timestamps and a swapped alert ID header', () => {
+  const { body, headers } = signedRequest('volume:spot:pepeusdt:15m:0');
+  const verify = (overrides) => verifyAlertRequest({ body, headers, secret: SECRET, now: 1_000_000, ...overrides }).reason;
+
+  assert.equal(verify({ body: body.replace('pepeusdt"', 'wifusdt"') }), 'signature mismatch');
+  assert.equal(verify({ secret: 'other-secret' }), 'signature mismatch');
+  assert.equal(verify({ now: 1_000_000 + 5 * MINUTE + 1 }), 'timestamp outside tolerance');
+  assert.equal(verify({ headers: { ...headers, 'X-Oruba-Timestamp': 'soon' } }), 'invalid timestamp');
+  assert.equal(verify({ headers: { 'X-Oruba-Alert-Id': 'x' } }), 'missing signature headers');
+  // The ID header is not signed: replaying a body under another ID must not pass
+  assert.equal(verify({ headers: { ...headers, 'X-Oruba-Alert-Id': 'volume:spot:pepeusdt:15m:1' } }), 'alert ID mismatch');
+});
+
+test('verifyAlertRequest: a missing secret or unparseable body fails instead of throwing', () => {
+  const { body, headers } = signedRequest('volume:spot:pepeusdt:15m:0');
+  assert.deepEqual(verifyAlertRequest({ body, headers, secret: undefined, now: 1_000_000 }), {
+    ok: false,
+    reason: 'no signing secret configured',
+  });
+
+  const garbled = signedRequest('volume:spot:pepeusdt:15m:0', { body: 'not json' });
+  assert.equal(verifyAlertRequest({ ...garbled, secret: SECRET, now: 1_000_000 }).reason, 'invalid body');
+  const withoutId = signedRequest('volume:spot:pepeusdt:15m:0', { body: '{"symbol":"pepeusdt"}' });
+  assert.equal(verifyAlertRequest({ ...withoutId, secret: SECRET, now: 1_000_000 }).reason, 'alert ID mismatch');
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startWorker } = require('../src/index');
+const { createPushLimiter } = require('../src/alert-digest');
+const { getAlertTier } = require('../src/alert-triggers');
+const { createLogger } = require('../src/logger');
+
+const MINUTE = 60_000;
+const T0 = Date.UTC(2026, 9, 1, 10, 0, 0);
+
+// A replay-style worker: no network, simulated clock, alerts collected by the sink
+async function createReplayWorker(options) {
+  let now = T0;
+  const alerts = [];
+  const worker = await startWorker({
+    log: createLogger('error'),
+    connect: false,
+    clock: () => now,
+    sink: async (alert) => alerts.push(alert),
+    initialVolumeThresholdUsd: 1000,
+    volumeWindowMs: MINUTE,
+    notificationCooldownMs: 5 * MINUTE,
+    digest: { windowMs: 0 },
+    ...options,
+  });
+
+  return {
+    alerts,
+    stop: () => worker.stop(),
+    async trade(atMs, quoteUsd, symbol = 'pepeusdt') {
+      now = T0 + atMs;
+      await worker.ingestTrade({ symbol, tradeTime: now, quoteUsd, side: 'buy' });
+    },
+  };
+}
+
+test('getAlertTier: highest multiple reached, 1 for a plain crossing', () => {
+  assert.equal(getAlertTier(1000, 1000, [2, 5, 10]), 1);
+  assert.equal(getAlertTier(1999, 1000, [2, 5, 10]), 1);
+  assert.equal(getAlertTier(2000, 1000, [2, 5, 10]), 2);
+  assert.equal(getAlertTier(7500, 1000, [2, 5, 10]), 5);
+  assert.equal(getAlertTier(50_000, 1000, [2, 5, 10]), 10);
+  assert.equal(getAlertTier(50_000, 1000, []), 1);
+});
+
+test('re-arm: an episode escalates once per tier and alerts again only after volume falls back', async () => {
+  const run = await createReplayWorker({ rearmRatio: 0.8, escalationTiers: [2, 5, 10] });
+
+  await run.trade(0, 1200); // crossing
+  await run.trade(10_000, 900); // 2100: tier 2 during cooldown
+  await run.trade(20_000, 100); // 2200: still tier 2
+  await run.trade(6 * MINUTE, 1500); // cooldown over, but volume never fell below 800
+  assert.deepEqual(run.alerts.map((alert) => [alert.details.tier, alert.details.escalation]), [[1, false], [2, true]]);
+
+  await run.trade(8 * MINUTE, 10); // window drops to 10: re-armed
+  await run.trade(8 * MINUTE + 10_000, 1200);
+  assert.equal(run.alerts.length, 3);
+  assert.deepEqual([run.alerts[2].details.tier, run.alerts[2].details.escalation], [1, false]);
+
+  await run.stop();
+});
+
+test('re-arm in baseline mode: measured on the baseline multiple, not the USD threshold', async () => {
+  // A large cap: its normal volume is far above the USD threshold
+  const run = await createReplayWorker({
+    initialVolumeThresholdUsd: 100,
+    baseline: { mode: 'baseline', multiplier: 1.5, minSamples: 3 },
+    rearmRatio: 0.8,
+    escalationTiers: [2, 5],
+  });
+
+  // Steady volume, with the same spike every 30 minutes
+  for (let minute = 0; minute < 90; minute += 1) {
+    await run.trade(minute * MINUTE, 100);
+    if (minute % 30 === 10) await run.trade(minute * MINUTE + 1000, 700);
+  }
+  assert.deepEqual(
+    run.alerts.map((alert) => [Math.floor((alert.at - T0) / MINUTE), alert.details.baselineMultiple, alert.details.tier]),
+    [[10, 4, 2], [40, 4, 2], [70, 4, 2]] // 4x the median is 2.67x the 1.5x multiplier: tier 2
+  );
+
+  await run.stop();
+});
+
+test('re-arm off: the cooldown alone decides', async () => {
+  const run = await createReplayWorker({ rearmRatio: 0, escalationTiers: [] });
+
+  await run.trade(0, 1200);
+  await run.trade(2 * MINUTE, 5000); // cooling down, no tiers to escalate to
+  await run.trade(6 * MINUTE, 1500);
+  assert.deepEqual(run.alerts.map((alert) => alert.at - T0), [0, 6 * MINUTE]);
+
+  await run.stop();
+});
+
+test('push budget: flow alerts take a slot too and are dropped once it is used up', async () => {
+  const pushLimiter = createPushLimiter({ maxPerMinute: 1 });
+  const run = await createReplayWorker({ pushLimiter, flowAlerts: { netFlowThresholdUsd: 500 } });
+
+  await run.trade(0, 600); // flow alert: the only slot this minute
+  await run.trade(10_000, 600); // volume alert: held by the digest until a slot frees
+  await run.trade(20_000, 600, 'wifusdt'); // flow alert with no slot and nowhere to wait
+  assert.deepEqual(run.alerts.map((alert) => `${alert.alert}:${alert.symbol}`), ['flow:pepeusdt']);
+
+  await run.trade(60_000, 1);
+  assert.deepEqual(run.alerts.map((alert) => `${alert.alert}:${alert.symbol}`), ['flow:pepeusdt', 'volume:pepeusdt']);
+  await run.stop();
+});
+
+test('push budget: a standby instance sends nothing and takes no slots', async () => {
+  const pushLimiter = createPushLimiter({ maxPerMinute: 1 });
+  const notified = [];
+  const run = await createReplayWorker({
+    pushLimiter,
+    sink: undefined,
+    notifier: { notify: async (alert) => { notified.push(alert); return []; } },
+    isLeader: () => false,
+    flowAlerts: { netFlowThresholdUsd: 500 },
+  });
+
+  await run.trade(0, 1200); // volume and flow alerts, both skipped on standby
+  assert.deepEqual(notified, []);
+  assert.equal(pushLimiter.available(T0), 1);
+  await run.stop();
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, parseAmount, parseBytes, loadConfig, describeConfig } = require('../src/config');
+
+const SCHEMA = {
+  baseUrl: { env: 'BASE_URL', type: 'url', required: true },
+  token: { env: 'PUSH_TOKEN', secret: true },
+  thresholdUsd: { env: 'VOLUME_THRESHOLD_USD', type: 'amount', default: 400_000, min: 1 },
+  windowMs: { env: 'VOLUME_WINDOW_MS', type: 'duration', default: 15 * 60_000, min: 1_000 },
+  logLevel: { env: 'LOG_LEVEL', values: ['error', 'warn', 'info', 'debug'], default: 'info' },
+  recordTrades: { env: 'RECORD_TRADES', type: 'boolean', default: false },
+  dataDir: { env: 'DATA_DIR', default: './data' },
+  recordDir: { env: 'RECORD_DIR', default: (values) => `${values.dataDir}/trades` },
+};
+
+test('parseDuration: plain milliseconds or a unit suffix', () => {
+  assert.equal(parseDuration('900000'), 900_000);
+  assert.equal(parseDuration('250ms'), 250);
+  assert.equal(parseDuration('30s'), 30_000);
+  assert.equal(parseDuration(' 15m '), 15 * 60_000);
+  assert.equal(parseDuration('1.5H'), 90 * 60_000);
+  assert.equal(parseDuration('2d'), 2 * 24 * 60 * 60_000);
+  assert.equal(parseDuration(5_000), 5_000);
+  assert.ok(Number.isNaN(parseDuration('15 minutes')));
+  assert.ok(Number.isNaN(parseDuration('-5m')));
+  assert.ok(Number.isNaN(parseDuration(undefined)));
+});
+
+test('parseAmount: underscores and k / m / b suffixes', () => {
+  assert.equal(parseAmount('400000'), 400_000);
+  assert.equal(parseAmount('400_000'), 400_000);
+  assert.equal(parseAmount('400k'), 400_000);
+  assert.equal(parseAmount('1.5M'), 1_500_000);
+  assert.equal(parseAmount('2b'), 2_000_000_000);
+  assert.equal(parseAmount(250), 250);
+  assert.ok(Number.isNaN(parseAmount('$400k')));
+  assert.ok(Number.isNaN(parseAmount('')));
+});
+
+test('parseBytes: byte sizes, rounded to whole bytes', () => {
+  assert.equal(parseBytes('1048576'), 1_048_576);
+  assert.equal(parseBytes('512kb'), 512 * 1024);
+  assert.equal(parseBytes('1.5MB'), 1.5 * 1024 ** 2);
+  assert.ok(Number.isNaN(parseBytes('5tb')));
+});
+
+test('loadConfig: env values win over defaults, derived defaults see the result', () => {
+  const { values, sources } = loadConfig(SCHEMA, {
+    BASE_URL: 'https://backend.example.com',
+    VOLUME_THRESHOLD_USD: ' 250k ',
+    LOG_LEVEL: 'DEBUG',
+    RECORD_TRADES: 'yes',
+    DATA_DIR: '/var/lib/worker',
+    VOLUME_WINDOW_MS: '', // empty counts as unset
+  });
+
+  assert.deepEqual(values, {
+    baseUrl: 'https://backend.example.com',
+    token: undefined,
+    thresholdUsd: 250_000,
+    windowMs: 15 * 60_000,
+    logLevel: 'debug',
+    recordTrades: true,
+    dataDir: '/var/lib/worker',
+    recordDir: '/var/lib/worker/trades',
+  });
+  assert.equal(sources.thresholdUsd, 'env');
+  assert.equal(sources.windowMs, 'default');
+  assert.equal(sources.recordDir, 'default');
+});
+
+test('loadConfig: every problem is reported at once, secrets are never echoed', () => {
+  let thrown;
+  try {
+    loadConfig(SCHEMA, {
+      PUSH_TOKEN: '  ',
+      VOLUME_THRESHOLD_USD: '0',
+      VOLUME_WINDOW_MS: '15 minutes',
+      LOG_LEVEL: 'verbose',
+      RECORD_TRADES: 'maybe',
+    });
+  } catch (error) {
+    thrown = error;
+  }
+
+  assert.ok(thrown);
+  assert.deepEqual(thrown.errors, [
+    'BASE_URL is required',
+    'VOLUME_THRESHOLD_USD="0": must be at least 1',
+    'VOLUME_WINDOW_MS="15 minutes": expected a duration like 900000, 30s, 15m or 1h',
+    'LOG_LEVEL="verbose": expected one of error, warn, info, debug',
+    'RECORD_TRADES="maybe": expected true or false',
+  ]);
+  assert.match(thrown.message, /^Invalid configuration:\n {2}- BASE_URL is required\n/);
+
+  // A secret with a bad value is reported without its value
+  const secretSchema = { token: { env: 'PUSH_TOKEN', secret: true, parse: () => { throw new Error('too short'); } } };
+  assert.throws(
+    () => loadConfig(secretSchema, { PUSH_TOKEN: 'hunter2' }),
+    (error) => error.errors[0] === 'PUSH_TOKEN=[redacted]: too short' && !error.message.includes('hunter2')
+  );
+});
+
+test('describeConfig: secrets show as [redacted] when set and null when not', () => {
+  const config = loadConfig(SCHEMA, { BASE_URL: 'https://backend.example.com', PUSH_TOKEN: 'hunter2' });
+  const view = describeConfig(SCHEMA, config);
+
+  assert.deepEqual(view.token, { env: 'PUSH_TOKEN', value: '[redacted]', source: 'env' });
+  assert.deepEqual(view.thresholdUsd, { env: 'VOLUME_THRESHOLD_USD', value: 400_000, source: 'default' });
+  assert.ok(!JSON.stringify(view).includes('hunter2'));
+
+  const unset = describeConfig(SCHEMA, loadConfig(SCHEMA, { BASE_URL: 'https://backend.example.com' }));
+  assert.equal(unset.token.value, null);
+});
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createExchangeAdapter } = require('../src/exchanges');
+
+// Recorded frames, passed as Buffers the way ws delivers them
+function frame(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name));
+}
+
+test('binance: combined-stream and single-stream spot trades', () => {
+  const adapter = createExchangeAdapter('binance', 'spot');
+
+  const [trade] = adapter.parseMessage(frame('binance/spot-trade.json')).trades;
+  assert.equal(trade.symbol, 'pepeusdt');
+  assert.equal(trade.tradeTime, 1717000000000);
+  assert.equal(trade.side, 'sell'); // buyer was maker
+  assert.equal(trade.tradeId, 123456789);
+  assert.ok(Math.abs(trade.quoteAmount - 12.34) < 1e-9);
+
+  const [single] = adapter.parseMessage(frame('binance/spot-trade-single-stream.json')).trades;
+  assert.equal(single.symbol, 'wifusdt');
+  assert.equal(single.side, 'buy');
+  assert.ok(Math.abs(single.quoteAmount - 1004) < 1e-9);
+});
+
+test('binance: futures trade and aggTrade', () => {
+  const adapter = createExchangeAdapter('binance', 'futures');
+
+  const [trade] = adapter.parseMessage(frame('binance/futures-trade.json')).trades;
+  assert.deepEqual(
+    { symbol: trade.symbol, quoteAmount: trade.quoteAmount, side: trade.side, tradeId: trade.tradeId },
+    { symbol: 'solusdt', quoteAmount: 1923, side: 'buy', tradeId: 4455667 }
+  );
+
+  const [agg] = adapter.parseMessage(frame('binance/futures-agg-trade.json')).trades;
+  assert.equal(agg.tradeId, 5933014);
+  assert.equal(agg.side, 'sell');
+  assert.ok(Math.abs(agg.quoteAmount - 480.9) < 1e-9);
+});
+
+test('binance: forceOrder parses into a liquidation event', () => {
+  const adapter = createExchangeAdapter('binance', 'futures');
+  const { events, trades } = adapter.parseMessage(frame('binance/force-order.json'));
+
+  assert.equal(trades, undefined);
+  assert.deepEqual(events, [{
+    type: 'liquidation',
+    symbol: 'solusdt',
+    side: 'sell',
+    price: 160.25, // average fill price over the order price
+    qty: 120,
+    quoteAmount: 160.25 * 120,
+    time: 1717000000095,
+  }]);
+});
+
+test('binance: markPriceUpdate array parses into mark price events', () => {
+  const adapter = createExchangeAdapter('binance', 'futures');
+  const { events } = adapter.parseMessage(frame('binance/mark-price-arr.json'));
+
+  assert.equal(events.length, 3);
+  assert.deepEqual(events[1], {
+    type: 'mark_price',
+    symbol: 'ethusdt',
+    markPrice: 3500.5,
+    indexPrice: 3499.9,
+    fundingRate: -0.00025,
+    nextFundingTime: 1717027200000,
+    time: 1717000000000,
+  });
+  // Delivery contracts have no funding rate
+  assert.ok(Number.isNaN(events[2].fundingRate));
+  assert.equal(events[2].nextFundingTime, null);
+});
+
+test('binance: subscribe ack and error replies', () => {
+  const adapter = createExchangeAdapter('binance', 'spot');
+
+  assert.deepEqual(adapter.parseMessage(frame('binance/subscribe-ack.json')), { reply: { id: 3, error: undefined } });
+  assert.deepEqual(adapter.parseMessage(frame('binance/subscribe-error.json')), {
+    reply: { id: 4, error: '2: Invalid request: unknown variable' },
+  });
+  assert.equal(adapter.parseMessage(Buffer.from('not json')), undefined);
+});
+
+test('binance: streams go in the URL, requests name them', () => {
+  const adapter = createExchangeAdapter('binance', 'futures');
+
+  assert.equal(adapter.buildUrl(['btcusdt']), 'wss://fstream.binance.com/ws/btcusdt@trade');
+  assert.equal(
+    adapter.buildUrl(['btcusdt', '!forceOrder@arr'], 'ws://localhost:9000'),
+    'ws://localhost:9000/stream?streams=btcusdt@trade/!forceOrder@arr'
+  );
+  assert.deepEqual(JSON.parse(adapter.buildRequest('subscribe', ['pepeusdt'], 7)), {
+    method: 'SUBSCRIBE',
+    params: ['pepeusdt@trade'],
+    id: 7,
+  });
+});
+
+test('bybit: publicTrade push with the taker side', () => {
+  const adapter = createExchangeAdapter('bybit', 'spot');
+  const { trades } = adapter.parseMessage(frame('bybit/public-trade.json'));
+
+  assert.equal(trades.length, 2);
+  assert.deepEqual(trades.map((trade) => [trade.symbol, trade.side, trade.tradeTime]), [
+    ['pepeusdt', 'sell', 1717000000000],
+    ['pepeusdt', 'buy', 1717000000002],
+  ]);
+  assert.ok(Math.abs(trades[0].quoteAmount - 12.34) < 1e-9);
+  assert.equal(trades[1].tradeId, '2290000000800000002');
+});
+
+test('bybit: subscribe replies, including the topics a rejection names', () => {
+  const adapter = createExchangeAdapter('bybit', 'spot');
+
+  assert.deepEqual(adapter.parseMessage(frame('bybit/subscribe-ack.json')), { reply: { id: 1 } });
+  assert.deepEqual(adapter.parseMessage(frame('bybit/subscribe-rejected.json')), {
+    reply: { id: 2, error: 'Invalid symbol :[publicTrade.XYZUSDT]', symbols: ['xyzusdt'] },
+  });
+  // Resubscribing a topic the connection already has is not a failure
+  assert.deepEqual(adapter.parseMessage(frame('bybit/subscribe-already-subscribed.json')), { reply: { id: 3 } });
+});
+
+test('bybit: ping replies on spot and linear', () => {
+  const adapter = createExchangeAdapter('bybit', 'futures');
+
+  assert.deepEqual(adapter.parseMessage(frame('bybit/ping-reply-spot.json')), { pong: true });
+  assert.deepEqual(adapter.parseMessage(frame('bybit/ping-reply-linear.json')), { pong: true });
+  assert.equal(adapter.ping(), '{"op":"ping"}');
+});
+
+test('bybit: subscribe requests carry topics and a string req_id', () => {
+  const adapter = createExchangeAdapter('bybit', 'spot');
+
+  assert.deepEqual(JSON.parse(adapter.buildRequest('subscribe', ['btcusdt', 'pepeusdt'], 5)), {
+    op: 'subscribe',
+    args: ['publicTrade.BTCUSDT', 'publicTrade.PEPEUSDT'],
+    req_id: '5',
+  });
+});
+
+test('okx: spot trades', () => {
+  const adapter = createExchangeAdapter('okx', 'spot');
+  const [trade] = adapter.parseMessage(frame('okx/trades.json')).trades;
+
+  assert.equal(trade.symbol, 'pepeusdt');
+  assert.equal(trade.side, 'sell');
+  assert.equal(trade.tradeTime, 1717000000000);
+  assert.equal(trade.tradeId, '130639474');
+  assert.ok(Math.abs(trade.quoteAmount - 12.34) < 1e-9);
+});
+
+test('okx: swap trades are sized by contract value once instruments are loaded', async (t) => {
+  const server = http.createServer((req, res) => {
+    assert.equal(req.url, '/api/v5/public/instruments?instType=SWAP');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(frame('okx/swap-instruments.json'));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => server.close());
+
+  const adapter = createExchangeAdapter('okx', 'futures', { restUrl: `http://127.0.0.1:${server.address().port}` });
+  // Unknown contract size: dropped rather than counted with the wrong USD amount
+  assert.deepEqual(adapter.parseMessage(frame('okx/swap-trades.json')), { trades: [] });
+
+  await adapter.prepare();
+  const [trade] = adapter.parseMessage(frame('okx/swap-trades.json')).trades;
+  assert.equal(trade.symbol, 'btcusdt');
+  assert.ok(Math.abs(trade.qty - 0.03) < 1e-9);
+  assert.ok(Math.abs(trade.quoteAmount - 1920.003) < 1e-6);
+});
+
+test('okx: subscribe ack, event:error naming the instrument, notices and pong', () => {
+  const adapter = createExchangeAdapter('okx', 'spot');
+
+  assert.deepEqual(adapter.parseMessage(frame('okx/subscribe-ack.json')), { reply: { id: 1 } });
+  const { reply } = adapter.parseMessage(frame('okx/subscribe-error.json'));
+  assert.equal(reply.id, 2);
+  assert.match(reply.error, /^60018: Wrong URL or channel/);
+  assert.deepEqual(reply.symbols, ['xyzusdt']);
+  assert.deepEqual(adapter.parseMessage(frame('okx/notice.json')), {});
+  assert.deepEqual(adapter.parseMessage(frame('okx/pong.txt')), { pong: true });
+});
+
+test('okx: subscribe requests use instrument IDs', () => {
+  const spot = createExchangeAdapter('okx', 'spot');
+  const futures = createExchangeAdapter('okx', 'futures');
+
+  assert.deepEqual(JSON.parse(spot.buildRequest('subscribe', ['pepeusdt'], 1)).args, [{ channel: 'trades', instId: 'PEPE-USDT' }]);
+  assert.deepEqual(JSON.parse(futures.buildRequest('unsubscribe', ['btcusdt'], 2)), {
+    id: '2',
+    op: 'unsubscribe',
+    args: [{ channel: 'trades', instId: 'BTC-USDT-SWAP' }],
+  });
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createExchangeAdapter } = require('../src/exchanges');
+const { createFuturesSignals } = require('../src/futures-signals');
+const { createFlowWindow } = require('../src/rolling-window');
+const { createLogger } = require('../src/logger');
+
+const MINUTE = 60_000;
+const FRAME_TIME = 1717000000100; // when the recorded frames were received
+
+// Recorded frames, passed as Buffers the way ws delivers them
+function frame(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name));
+}
+
+const adapter = createExchangeAdapter('binance', 'futures');
+const eventsFrom = (name) => adapter.parseMessage(frame(name)).events;
+
+function createTestSignals(options) {
+  let now = FRAME_TIME;
+  const alerts = [];
+  const signals = createFuturesSignals({
+    log: createLogger('error'),
+    send: async (alert, symbol, details, at, cooldownMs) => alerts.push({ alert, symbol, details, at, cooldownMs }),
+    createWindow: (windowMs) => createFlowWindow(windowMs),
+    isTracked: (symbol) => symbol !== 'ethusdc',
+    getSymbols: () => ['btcusdt'],
+    clock: () => now,
+    timers: false,
+    ...options,
+  });
+  return {
+    signals,
+    alerts,
+    advance(ms) {
+      now += ms;
+    },
+  };
+}
+
+test('liquidation: forced orders add up within the window, then cool down', async () => {
+  const run = createTestSignals({ liquidation: { thresholdUsd: 30_000, windowMs: 5 * MINUTE, cooldownMs: 15 * MINUTE } });
+  const liquidation = eventsFrom('binance/force-order.json'); // a $19,230 SOLUSDT long liquidated
+
+  await run.signals.handleEvents(liquidation);
+  assert.equal(run.alerts.length, 0);
+
+  await run.signals.handleEvents(liquidation);
+  assert.equal(run.alerts.length, 1);
+  const [{ alert, symbol, details, cooldownMs }] = run.alerts;
+  assert.deepEqual([alert, symbol, cooldownMs], ['liquidation', 'solusdt', 15 * MINUTE]);
+  assert.equal(details.liquidatedUsd, 2 * 160.25 * 120);
+  assert.equal(details.longsLiquidatedUsd, 2 * 160.25 * 120); // a SELL liquidation closes a long
+  assert.equal(details.shortsLiquidatedUsd, 0);
+  assert.equal(details.lastPrice, 160.25);
+
+  await run.signals.handleEvents(liquidation); // still cooling down
+  assert.equal(run.alerts.length, 1);
+});
+
+test('liquidation: events for untracked symbols are ignored', async () => {
+  const run = createTestSignals({ liquidation: { thresholdUsd: 1 } });
+  const [event] = eventsFrom('binance/force-order.json');
+
+  await run.signals.handleEvents([{ ...event, symbol: 'ethusdc' }]);
+  assert.equal(run.alerts.length, 0);
+  assert.equal(run.signals.getStatus().symbols, 0);
+});
+
+test('funding: only rates past the threshold either way alert, once per cooldown', async () => {
+  const run = createTestSignals({ funding: { thresholdPct: 0.02, cooldownMs: 60 * MINUTE } });
+  const markPrices = eventsFrom('binance/mark-price-arr.json'); // BTC +0.01%, ETH -0.025%, a delivery contract without funding
+
+  await run.signals.handleEvents(markPrices);
+  assert.deepEqual(run.alerts.map(({ symbol }) => symbol), ['ethusdt']);
+  const { details } = run.alerts[0];
+  assert.equal(details.direction, 'shorts_pay');
+  assert.ok(Math.abs(details.fundingRatePct - -0.025) < 1e-9);
+  assert.equal(details.markPrice, 3500.5);
+  assert.equal(details.nextFundingTime, 1717027200000);
+
+  run.advance(30 * MINUTE);
+  await run.signals.handleEvents(markPrices);
+  assert.equal(run.alerts.length, 1);
+
+  run.advance(30 * MINUTE);
+  await run.signals.handleEvents(markPrices);
+  assert.equal(run.alerts.length, 2);
+});
+
+test('open interest: jumps against the oldest sample in the window, valued at the mark price', async () => {
+  const samples = [1_000, 1_040, 1_120, 1_130, 1_300];
+  const run = createTestSignals({
+    fetchOpenInterest: async () => samples.shift(),
+    openInterest: { jumpPct: 10, windowMs: 60 * MINUTE, minUsd: 50_000_000, cooldownMs: 60 * MINUTE },
+  });
+  await run.signals.handleEvents(eventsFrom('binance/mark-price-arr.json')); // BTCUSDT mark 64,000.10
+
+  await run.signals.pollOpenInterest(); // 1000: first sample
+  run.advance(5 * MINUTE);
+  await run.signals.pollOpenInterest(); // 1040: +4%
+  assert.equal(run.alerts.length, 0);
+
+  run.advance(5 * MINUTE);
+  await run.signals.pollOpenInterest(); // 1120: +12% in 10 minutes
+  assert.equal(run.alerts.length, 1);
+  const { details } = run.alerts[0];
+  assert.deepEqual(
+    [details.previousOpenInterest, details.openInterest, details.direction, details.windowMinutes],
+    [1_000, 1_120, 'up', 10]
+  );
+  assert.ok(Math.abs(details.changePct - 12) < 1e-9);
+  assert.ok(Math.abs(details.openInterestUsd - 1_120 * 64_000.1) < 1e-6);
+
+  // Samples older than the window drop out: 1130 is +8.7% on 1040, 1300 +16% on 1120
+  run.advance(55 * MINUTE);
+  await run.signals.pollOpenInterest();
+  assert.equal(run.alerts.length, 1);
+  run.advance(5 * MINUTE); // cooldown since the first alert is over
+  await run.signals.pollOpenInterest();
+  assert.deepEqual(
+    run.alerts.map(({ details }) => [details.previousOpenInterest, details.openInterest, details.windowMinutes]),
+    [[1_000, 1_120, 10], [1_120, 1_300, 60]]
+  );
+  assert.equal(run.signals.getStatus().openInterestPolledAt, new Date(FRAME_TIME + 70 * MINUTE).toISOString());
+});
+
+test('open interest: with minUsd set, no alert before a mark price can value it', async () => {
+  const samples = [1_000, 2_000];
+  const run = createTestSignals({
+    fetchOpenInterest: async () => samples.shift(),
+    openInterest: { jumpPct: 10, minUsd: 1 },
+  });
+
+  await run.signals.pollOpenInterest();
+  run.advance(5 * MINUTE);
+  await run.signals.pollOpenInterest(); // +100%, but no mark price to value it
+  assert.equal(run.alerts.length, 0);
+});
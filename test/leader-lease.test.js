@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  createFileLeaseStore,
+  createLeaderElection,
+  parseReply,
+  runRedisCommands,
+} = require('../src/leader-lease');
+const { createLogger } = require('../src/logger');
+
+const SECOND = 1_000;
+
+// Lets store promises settle after the mocked timers fire
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+}
+
+// Election on a fake clock and mocked timers; `acquire` answers each renewal in turn
+function createTestElection(t, acquire) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  let now = 0;
+  const roles = [];
+  const store = { acquire, releases: 0, release: async () => { store.releases += 1; } };
+  const election = createLeaderElection({
+    store,
+    backend: 'test',
+    holderId: 'worker-a',
+    ttlMs: 30 * SECOND,
+    renewMs: 10 * SECOND,
+    log: createLogger('error'),
+    onChange: (role) => roles.push(role),
+    clock: () => now,
+  });
+
+  return {
+    election,
+    store,
+    roles,
+    async advance(ms) {
+      now += ms;
+      t.mock.timers.tick(ms);
+      await flush();
+    },
+  };
+}
+
+test('leader election: steps down when its lease runs out while a renewal hangs', async (t) => {
+  let calls = 0;
+  const run = createTestElection(t, async () => {
+    calls += 1;
+    return calls === 1 ? true : new Promise(() => {});
+  });
+
+  await run.election.start();
+  assert.equal(run.election.isLeader(), true);
+
+  await run.advance(10 * SECOND); // renewal starts and never returns
+  await run.advance(9 * SECOND);
+  assert.equal(run.election.isLeader(), true);
+
+  // Valid until one renew interval before the TTL: 30s - 10s after the grant
+  await run.advance(1 * SECOND);
+  assert.equal(run.election.isLeader(), false);
+  assert.deepEqual(run.roles, ['leader', 'standby']);
+});
+
+test('leader election: a grant that arrives too late is not acted on', async (t) => {
+  const reply = deferred();
+  const run = createTestElection(t, () => reply.promise);
+
+  const starting = run.election.start();
+  await run.advance(25 * SECOND);
+  reply.resolve(true);
+  await starting;
+
+  assert.equal(run.election.isLeader(), false);
+  assert.deepEqual(run.roles, []);
+});
+
+test('leader election: failed renewals keep leading only while the lease is valid', async (t) => {
+  let calls = 0;
+  const run = createTestElection(t, async () => {
+    calls += 1;
+    if (calls === 1) return true;
+    throw new Error('store unreachable');
+  });
+
+  await run.election.start();
+  await run.advance(10 * SECOND); // first failure: lease still good
+  assert.equal(run.election.isLeader(), true);
+  assert.equal(run.election.getStatus().lastError, 'store unreachable');
+
+  await run.advance(10 * SECOND);
+  assert.equal(run.election.isLeader(), false);
+  assert.deepEqual(run.roles, ['leader', 'standby']);
+});
+
+test('leader election: stop() waits for a renewal in flight and never leads again', async (t) => {
+  const second = deferred();
+  let calls = 0;
+  const run = createTestElection(t, () => {
+    calls += 1;
+    return calls === 1 ? Promise.resolve(true) : second.promise;
+  });
+
+  await run.election.start();
+  await run.advance(10 * SECOND); // renewal in flight
+
+  const stopping = run.election.stop();
+  second.resolve(true); // the store extended the lease after stop() began
+  await stopping;
+
+  assert.equal(run.election.isLeader(), false);
+  assert.deepEqual(run.roles, ['leader', 'standby']);
+  assert.equal(run.store.releases, 1);
+});
+
+test('parseReply: simple strings, integers, bulk strings and nil', () => {
+  assert.deepEqual(parseReply(Buffer.from('+OK\r\n')), { value: 'OK', length: 5 });
+  assert.deepEqual(parseReply(Buffer.from(':1\r\n')), { value: 1, length: 4 });
+  assert.deepEqual(parseReply(Buffer.from('$-1\r\n')), { value: null, length: 5 });
+  assert.deepEqual(parseReply(Buffer.from('$9\r\nworker-é\r\n')), { value: 'worker-é', length: 15 }); // byte lengths
+  // Only the first reply is consumed
+  assert.deepEqual(parseReply(Buffer.from('+OK\r\n:0\r\n')), { value: 'OK', length: 5 });
+});
+
+test('parseReply: undefined until a reply split across chunks is complete', () => {
+  assert.equal(parseReply(Buffer.from('+O')), undefined);
+  assert.equal(parseReply(Buffer.from('$10\r\nworker')), undefined);
+  assert.equal(parseReply(Buffer.from('$10\r\nworker-a:1')), undefined); // missing CRLF
+  assert.deepEqual(parseReply(Buffer.from('$10\r\nworker-a:1\r\n')), { value: 'worker-a:1', length: 17 });
+});
+
+test('parseReply: error replies become Error values, unknown types throw', () => {
+  const { value, length } = parseReply(Buffer.from('-NOAUTH Authentication required.\r\n'));
+  assert.ok(value instanceof Error);
+  assert.equal(value.message, 'NOAUTH Authentication required.');
+  assert.equal(length, 34);
+
+  assert.throws(() => parseReply(Buffer.from('*1\r\n')), /Unsupported Redis reply type "\*"/);
+});
+
+// A fake Redis server: answers the first request with `chunks`, written one by one
+async function startRedis(chunks, { close = false } = {}) {
+  const received = [];
+  const server = net.createServer((socket) => {
+    socket.once('data', async (data) => {
+      received.push(data.toString());
+      for (const chunk of chunks) {
+        socket.write(chunk);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      if (close) socket.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `redis://127.0.0.1:${server.address().port}` };
+}
+
+test('runRedisCommands: authenticates, selects the db and resolves with the command replies', async () => {
+  const redis = await startRedis(['+O', 'K\r\n+OK\r\n$8\r\nwork', 'er-a\r\n:1\r\n']);
+  const url = redis.url.replace('redis://', 'redis://:p%40ss@') + '/2';
+
+  const replies = await runRedisCommands(url, [['GET', 'lease'], ['PEXPIRE', 'lease', 30_000]]);
+  assert.deepEqual(replies, ['worker-a', 1]);
+  assert.equal(
+    redis.received.join(''),
+    '*2\r\n$4\r\nAUTH\r\n$4\r\np@ss\r\n'
+      + '*2\r\n$6\r\nSELECT\r\n$1\r\n2\r\n'
+      + '*2\r\n$3\r\nGET\r\n$5\r\nlease\r\n'
+      + '*3\r\n$7\r\nPEXPIRE\r\n$5\r\nlease\r\n$5\r\n30000\r\n'
+  );
+
+  await new Promise((resolve) => redis.server.close(resolve));
+});
+
+test('runRedisCommands: rejects on an error reply or a connection closed early', async () => {
+  const failing = await startRedis(['-ERR unknown command\r\n']);
+  await assert.rejects(runRedisCommands(failing.url, [['NOPE']]), /ERR unknown command/);
+  await new Promise((resolve) => failing.server.close(resolve));
+
+  const closing = await startRedis([':1\r\n'], { close: true });
+  await assert.rejects(runRedisCommands(closing.url, [['GET', 'a'], ['GET', 'b']]), /closed the connection/);
+  await new Promise((resolve) => closing.server.close(resolve));
+});
+
+test('file lease store: breaks a stale lock, waits out a fresh one', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'leader-lease-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'leader.json');
+  const store = createFileLeaseStore(file);
+
+  // Left behind by a crashed process a minute ago
+  await fs.writeFile(`${file}.lock`, '');
+  const past = new Date(Date.now() - 60 * SECOND);
+  await fs.utimes(`${file}.lock`, past, past);
+
+  assert.equal(await store.acquire('worker-a', 30 * SECOND), true);
+  await assert.rejects(fs.stat(`${file}.lock`), { code: 'ENOENT' });
+  assert.equal(await store.acquire('worker-b', 30 * SECOND), false);
+
+  await fs.writeFile(`${file}.lock`, '');
+  await assert.rejects(store.acquire('worker-a', 30 * SECOND), /is locked by another process/);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { createRetryQueue, isRetryable } = require('../src/retry-queue');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'retry-queue-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Collects log events instead of printing them
+function createTestLog() {
+  const events = [];
+  const record = (level) => (event, fields) => events.push({ level, event, ...fields });
+  return { events, info: record('info'), warn: record('warn'), error: record('error') };
+}
+
+async function waitFor(check, timeoutMs = 2_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for the retry queue');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+async function readDeadLetters(file) {
+  try {
+    return (await fs.readFile(file, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+test('isRetryable: network errors, 5xx, timeouts and rate limits only', () => {
+  assert.equal(isRetryable(new Error('ECONNRESET')), true);
+  assert.equal(isRetryable(httpError(503)), true);
+  assert.equal(isRetryable(httpError(408)), true);
+  assert.equal(isRetryable(httpError(429)), true);
+  assert.equal(isRetryable(httpError(400)), false);
+  assert.equal(isRetryable(httpError(404)), false);
+});
+
+test('retry queue: backs off exponentially up to maxDelayMs, then delivers', async (t) => {
+  const dir = await tempDir(t);
+  const log = createTestLog();
+  const sent = [];
+  const queue = createRetryQueue({
+    file: path.join(dir, 'queue.json'),
+    deadLetterFile: path.join(dir, 'dead.ndjson'),
+    log,
+    baseDelayMs: 5,
+    maxDelayMs: 20,
+    send: async (job) => {
+      sent.push(job.attempts);
+      if (sent.length < 4) throw new Error('backend down');
+    },
+  });
+
+  queue.start();
+  queue.enqueue({ type: 'spot', symbol: 'pepeusdt', alert: { id: 'a1' } }, new Error('backend down'));
+  await waitFor(() => queue.getStatus().depth === 0);
+  await queue.stop();
+
+  assert.deepEqual(sent, [1, 2, 3, 4]);
+  const delays = log.events.filter((entry) => entry.event === 'retry_queue.backing_off').map((entry) => entry.delayMs);
+  assert.deepEqual(delays, [10, 20, 20]); // 5 x 2^1, 5 x 2^2 capped at 20
+  assert.ok(log.events.some((entry) => entry.event === 'retry_queue.succeeded' && entry.attempts === 5));
+  assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'queue.json'), 'utf8')), []);
+});
+
+test('retry queue: non-retryable failures are dead-lettered right away', async (t) => {
+  const dir = await tempDir(t);
+  const deadLetterFile = path.join(dir, 'dead.ndjson');
+  let sends = 0;
+  const queue = createRetryQueue({
+    file: path.join(dir, 'queue.json'),
+    deadLetterFile,
+    log: createTestLog(),
+    baseDelayMs: 5,
+    send: async () => {
+      sends += 1;
+      throw httpError(404);
+    },
+  });
+
+  queue.start();
+  queue.enqueue({ symbol: 'aaausdt', alert: { id: 'a1' } }, httpError(400)); // never queued
+  queue.enqueue({ symbol: 'bbbusdt', alert: { id: 'a2' } }, new Error('timeout')); // 404 on retry
+  await waitFor(async () => (await readDeadLetters(deadLetterFile)).length === 2);
+  await queue.stop();
+
+  const deadLetters = await readDeadLetters(deadLetterFile);
+  assert.deepEqual(
+    deadLetters.map((job) => [job.symbol, job.reason]),
+    [['aaausdt', 'non-retryable: HTTP 400'], ['bbbusdt', 'non-retryable: HTTP 404']]
+  );
+  assert.equal(sends, 1);
+  assert.deepEqual(queue.getStatus(), { depth: 0, oldestAgeMs: null, deadLettered: 2 });
+});
+
+test('retry queue: retryable failures are dead-lettered once past maxAgeMs', async (t) => {
+  const dir = await tempDir(t);
+  const deadLetterFile = path.join(dir, 'dead.ndjson');
+  const queue = createRetryQueue({
+    file: path.join(dir, 'queue.json'),
+    deadLetterFile,
+    log: createTestLog(),
+    baseDelayMs: 5,
+    maxAgeMs: 30,
+    send: async () => {
+      throw httpError(503);
+    },
+  });
+
+  queue.start();
+  queue.enqueue({ symbol: 'pepeusdt', alert: { id: 'a1' } }, httpError(503));
+  await waitFor(async () => (await readDeadLetters(deadLetterFile)).length === 1);
+  await queue.stop();
+
+  const [job] = await readDeadLetters(deadLetterFile);
+  assert.equal(job.reason, 'max age exceeded');
+  assert.equal(job.lastError, 'HTTP 503');
+  assert.ok(job.attempts >= 2);
+});
+
+test('retry queue: pending jobs survive a restart, expired ones are dead-lettered on load', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'queue.json');
+  const deadLetterFile = path.join(dir, 'dead.ndjson');
+
+  // First run: the job is persisted but never retried
+  const first = createRetryQueue({ file, deadLetterFile, log: createTestLog(), baseDelayMs: 5, send: async () => {} });
+  first.enqueue({ symbol: 'pepeusdt', alert: { id: 'a1' } }, new Error('backend down'));
+  await first.stop();
+
+  const [pending] = JSON.parse(await fs.readFile(file, 'utf8'));
+  assert.equal(pending.alert.id, 'a1');
+  const expired = { ...pending, id: 'old', symbol: 'oldusdt', createdAt: Date.now() - 60 * 60_000 };
+  await fs.writeFile(file, JSON.stringify([pending, expired]));
+
+  // Second run picks it up and delivers the same job
+  const sent = [];
+  const second = createRetryQueue({
+    file,
+    deadLetterFile,
+    log: createTestLog(),
+    baseDelayMs: 5,
+    send: async (job) => sent.push(job),
+  });
+  await second.load();
+  assert.equal(second.getStatus().depth, 1);
+  second.start();
+  await waitFor(() => sent.length === 1);
+  await second.stop();
+
+  assert.equal(sent[0].id, pending.id);
+  assert.equal(sent[0].alert.id, 'a1');
+  assert.deepEqual(
+    (await readDeadLetters(deadLetterFile)).map((job) => [job.id, job.reason]),
+    [['old', 'expired while worker was down']]
+  );
+});
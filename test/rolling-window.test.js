@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRollingWindow } = require('../src/rolling-window');
+
+const MINUTE = 60_000;
+
+test('rolling window: sums trades inside the window and drops expired buckets', () => {
+  const window = createRollingWindow(MINUTE, 1_000);
+
+  window.add(0, 100);
+  window.add(30_000, 50);
+  window.prune(30_000);
+  assert.equal(window.getSum(), 150);
+
+  window.add(61_500, 10);
+  window.prune(61_500); // the bucket at 0 has left the window
+  assert.equal(window.getSum(), 60);
+});
+
+test('rolling window: a gap longer than the ring drops everything before it', () => {
+  const window = createRollingWindow(MINUTE, 1_000);
+
+  window.add(0, 1200);
+  window.add(10_000, 900);
+  window.prune(10_000);
+  window.add(6 * MINUTE, 10);
+  window.prune(6 * MINUTE);
+  assert.equal(window.getSum(), 10);
+});
+
+test('rolling window: trades older than the pruned range are ignored', () => {
+  const window = createRollingWindow(MINUTE, 1_000);
+
+  window.prune(5 * MINUTE);
+  window.add(MINUTE, 500);
+  assert.equal(window.getSum(), 0);
+});
+
+test('rolling window: snapshot and restore keep the live buckets', () => {
+  const window = createRollingWindow(MINUTE, 1_000);
+  window.add(120_000, 40.125);
+  window.add(150_000, 60);
+  window.prune(150_000);
+
+  const restored = createRollingWindow(MINUTE, 1_000);
+  restored.restore(JSON.parse(JSON.stringify(window.snapshot())));
+  restored.prune(150_000);
+  assert.equal(restored.getSum(), 100.13);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createStreamPool } = require('../src/stream-pool');
+const { createLogger } = require('../src/logger');
+
+// Minimal JSON protocol: { method, symbols, id } requests, { id, error } replies
+function createTestAdapter(url) {
+  return {
+    exchange: 'test',
+    maxSymbolsPerRequest: 200,
+    buildUrl: () => url,
+    buildRequest: (method, symbols, id) => JSON.stringify({ method, symbols, id }),
+    parseMessage: (message) => ({ reply: JSON.parse(message) }),
+  };
+}
+
+async function startServer(onRequest) {
+  const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+  await new Promise((resolve) => server.once('listening', resolve));
+  server.on('connection', (ws) => {
+    ws.on('message', (raw) => {
+      const request = JSON.parse(raw);
+      ws.send(JSON.stringify({ id: request.id, error: onRequest(request) }));
+    });
+  });
+  return { server, url: `ws://127.0.0.1:${server.address().port}` };
+}
+
+// Waits for the pool's sockets to finish closing: a close timer left running
+// would hold the process for 30s once a later test mocks clearTimeout
+async function stopAll(pool, server) {
+  pool.stop();
+  while (pool.getStatus().some((shard) => ['connecting', 'open'].includes(shard.status))) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  await new Promise((resolve) => server.close(resolve));
+}
+
+async function waitFor(check, timeoutMs = 2_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for the pool');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('refused subscribe naming no symbols: halves are retried down to the culprit', async () => {
+  const subscribes = [];
+  const { server, url } = await startServer(({ method, symbols }) => {
+    if (method !== 'subscribe') return undefined;
+    subscribes.push(symbols);
+    return symbols.includes('badusdt') ? 'Invalid request' : undefined;
+  });
+  const pool = createStreamPool({ adapter: createTestAdapter(url), log: createLogger('error'), shardSize: 50 });
+
+  pool.setSymbols(['btcusdt']);
+  await waitFor(() => pool.getStatus()[0].status === 'open');
+
+  const added = ['a', 'b', 'c', 'badusdt', 'd', 'e', 'f', 'g'];
+  pool.updateSymbols(['btcusdt', ...added]);
+  await waitFor(() => pool.getUnsupportedSymbols().length === 1);
+
+  assert.deepEqual(pool.getUnsupportedSymbols(), ['badusdt']);
+  assert.equal(pool.getStatus()[0].symbolCount, 8);
+  // 8 -> 4 + 4 -> 2 + 2 -> 1 + 1, never one request per symbol at once
+  assert.deepEqual(subscribes.map((symbols) => symbols.length), [8, 4, 4, 2, 2, 1, 1]);
+  assert.deepEqual(subscribes.slice(-2), [['c'], ['badusdt']]);
+
+  await stopAll(pool, server);
+});
+
+// Answers app-level pings; `sendTrade()` pushes a trade to every client
+async function startTradeServer() {
+  const server = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+  await new Promise((resolve) => server.once('listening', resolve));
+  server.on('connection', (ws) => {
+    ws.on('message', (raw) => {
+      if (JSON.parse(raw).ping) ws.send(JSON.stringify({ pong: true }));
+    });
+  });
+  const sendTrade = () => server.clients.forEach((ws) => ws.send(JSON.stringify({ trade: true })));
+  return { server, sendTrade, url: `ws://127.0.0.1:${server.address().port}` };
+}
+
+function createTradeAdapter(url) {
+  return {
+    ...createTestAdapter(url),
+    ping: () => JSON.stringify({ ping: true }),
+    parseMessage: (message) => {
+      const parsed = JSON.parse(message);
+      if (parsed.pong) return { pong: true };
+      return { trades: [{ symbol: 'a', quoteUsd: 1 }] };
+    },
+  };
+}
+
+// Timers and Date are mocked, so this polls on setImmediate against a real deadline
+async function settle(check) {
+  const deadline = performance.now() + 2_000;
+  while (!check()) {
+    if (performance.now() > deadline) throw new Error('timed out waiting for the pool');
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+// A pool on mocked timers whose watchdog checks every 2.5s (staleMs 10s)
+async function startMockedPool(t) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { server, sendTrade, url } = await startTradeServer();
+  const pool = createStreamPool({
+    adapter: createTradeAdapter(url),
+    log: createLogger('error'),
+    shardSize: 50,
+    staleMs: 10_000,
+  });
+  t.after(() => stopAll(pool, server));
+
+  pool.setSymbols(['a']);
+  await settle(() => pool.getStatus()[0].status === 'open');
+  const shard = () => pool.getStatus()[0];
+
+  return {
+    shard,
+    async trade() {
+      sendTrade();
+      await settle(() => shard().lastDataAt === Date.now());
+    },
+    // Runs the watchdog `checks` times, waiting for each ping to be answered
+    async advance(checks) {
+      for (let i = 0; i < checks; i += 1) {
+        t.mock.timers.tick(2_500);
+        if (shard().status !== 'open') return;
+        await settle(() => shard().lastPongAt === Date.now() || shard().status !== 'open');
+      }
+    },
+  };
+}
+
+test('staleness: pongs keep a shard alive only until its first data', async (t) => {
+  const run = await startMockedPool(t);
+
+  await run.advance(8); // 20s of pongs, no trades yet
+  assert.equal(run.shard().healthy, true);
+  assert.equal(run.shard().staleReconnects, 0);
+
+  // The first trade took 20s, so the limit is 80s, and pongs no longer count
+  await run.trade();
+  await run.advance(32);
+  assert.equal(run.shard().staleReconnects, 0);
+  await run.advance(1);
+  assert.equal(run.shard().staleReconnects, 1);
+});
+
+test('staleness: the limit stretches to a few times the shard\'s usual gap between trades', async (t) => {
+  const run = await startMockedPool(t);
+
+  for (let i = 0; i < 4; i += 1) {
+    await run.advance(8); // a trade every 20s
+    await run.trade();
+  }
+  assert.equal(run.shard().staleLimitMs, 80_000);
+
+  await run.advance(24); // 60s without a trade: past staleMs, well within the usual rhythm
+  assert.equal(run.shard().healthy, true);
+  assert.equal(run.shard().staleReconnects, 0);
+
+  await run.advance(9);
+  assert.equal(run.shard().staleReconnects, 1);
+});
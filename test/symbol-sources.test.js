@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSymbolList, mergeSymbolRules, createSymbolFilter } = require('../src/symbol-sources');
+
+test('parseSymbolList: trims, lowercases and dedupes strings or arrays', () => {
+  assert.deepEqual(parseSymbolList(' usd1usdt, *UP*,,usd1usdt'), ['usd1usdt', '*up*']);
+  assert.deepEqual(parseSymbolList(['PAXG', ' paxg ']), ['paxg']);
+  assert.deepEqual(parseSymbolList(undefined), []);
+});
+
+test('symbol filter: built-in majors are excluded against every quote', () => {
+  const { allows } = createSymbolFilter();
+
+  assert.equal(allows('btcusdt'), false);
+  assert.equal(allows('btcusdc'), false);
+  assert.equal(allows('ethbtc'), false); // base asset eth
+  assert.equal(allows('usdttry'), false);
+  assert.equal(allows('pepeusdt'), true);
+  assert.equal(allows('pepebtc'), true); // btc as quote is fine
+});
+
+test('symbol filter: extra exclusions by symbol or base asset', () => {
+  const { allows, rules } = createSymbolFilter({ excludedSymbols: ['PAXGUSDT', 'usd1'] });
+
+  assert.equal(allows('paxgusdt'), false);
+  assert.equal(allows('paxgtry'), false);
+  assert.equal(allows('usd1usdc'), false);
+  assert.equal(allows('wifusdt'), true);
+  assert.ok(rules.excludedSymbols.includes('btcusdt'));
+  assert.ok(rules.excludedSymbols.includes('paxgusdt'));
+});
+
+test('symbol filter: include and exclude globs, exclusions win', () => {
+  const { allows } = createSymbolFilter({
+    includePatterns: ['*usdt', '1000*'],
+    excludePatterns: ['*upusdt', '*downusdt', 'a?cusdt', 'wif.usdt'],
+  });
+
+  assert.equal(allows('pepeusdt'), true);
+  assert.equal(allows('1000satsfdusd'), true);
+  assert.equal(allows('pepetry'), false); // not included
+  assert.equal(allows('adaupusdt'), false);
+  assert.equal(allows('abcusdt'), false);
+  assert.equal(allows('abbcusdt'), true); // ? is a single character
+  assert.equal(allows('wifxusdt'), true); // . is literal, not any character
+});
+
+test('mergeSymbolRules: exclusions add up, API include patterns replace env ones', () => {
+  const env = { excludedSymbols: ['paxgusdt'], includePatterns: ['*usdt'], excludePatterns: ['*upusdt'] };
+
+  assert.deepEqual(mergeSymbolRules(env, { excludedSymbols: ['wifusdt'], includePatterns: ['*fdusd'], excludePatterns: ['*downusdt'] }), {
+    excludedSymbols: ['paxgusdt', 'wifusdt'],
+    includePatterns: ['*fdusd'],
+    excludePatterns: ['*upusdt', '*downusdt'],
+  });
+  // An empty API list keeps the env include patterns
+  assert.deepEqual(mergeSymbolRules(env, { includePatterns: [] }).includePatterns, ['*usdt']);
+});
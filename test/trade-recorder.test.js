@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { execFile } = require('node:child_process');
+const { promisify } = require('node:util');
+const { createTradeRecorder, FILE_PATTERN } = require('../src/trade-recorder');
+
+const T0 = Date.UTC(2026, 9, 1, 10, 0, 0);
+const REPLAY = path.join(__dirname, '..', 'scripts', 'replay.js');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trade-recorder-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const quietLog = { debug() {}, info() {}, warn() {}, error() {} };
+
+async function waitFor(check, timeoutMs = 5_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for the recorder');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// Recorded files in the order replay reads them: by hour, then part
+async function listRecordings(dir) {
+  return (await fs.readdir(dir))
+    .map((name) => ({ name, match: FILE_PATTERN.exec(name) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => a.match[1].localeCompare(b.match[1]) || Number(a.match[2] || 0) - Number(b.match[2] || 0))
+    .map(({ name }) => name);
+}
+
+async function readRecording(file) {
+  const text = zlib.gunzipSync(await fs.readFile(file)).toString();
+  return text.trim().split('\n').map((line) => JSON.parse(line));
+}
+
+function trade(index, overrides) {
+  return {
+    exchange: 'binance',
+    market: 'spot',
+    symbol: 'pepeusdt',
+    time: T0 + index * 1_000,
+    price: 0.00001,
+    qty: 10_000_000,
+    quoteUsd: 100,
+    side: index % 2 ? 'sell' : 'buy',
+    tradeId: index,
+    ...overrides,
+  };
+}
+
+test('recorder: a file past maxFileBytes rolls over to the next part of the hour', async (t) => {
+  const dir = await tempDir(t);
+  const recorder = createTradeRecorder({ dir, log: quietLog, maxFileBytes: 1, flushIntervalMs: 5 });
+  await recorder.start();
+
+  // Random trade IDs keep gzip from compressing the batch down to nothing
+  const batch = (from) => Array.from({ length: 500 }, (_, i) => trade(from + i, { tradeId: crypto.randomBytes(32).toString('hex') }));
+  batch(0).forEach(recorder.record);
+  await waitFor(async () => {
+    const { file } = recorder.getStatus();
+    return file && (await fs.stat(file)).size > 0;
+  });
+  const first = recorder.getStatus().file;
+
+  batch(500).forEach(recorder.record);
+  await waitFor(() => recorder.getStatus().written === 1_000);
+  await recorder.stop();
+
+  const names = await listRecordings(dir);
+  assert.ok(names.length >= 2);
+  assert.equal(names[0], path.basename(first));
+  assert.match(names[1], /\.1\.ndjson\.gz$|T\d{2}\.ndjson\.gz$/); // next part, or the next hour's file
+  const trades = (await Promise.all(names.map((name) => readRecording(path.join(dir, name))))).flat();
+  assert.deepEqual(trades.map((item) => item.time), Array.from({ length: 1_000 }, (_, i) => T0 + i * 1_000));
+});
+
+test('recorder: a restart within the hour continues with a new part instead of reusing the file', async (t) => {
+  const dir = await tempDir(t);
+
+  for (const run of [0, 1]) {
+    const recorder = createTradeRecorder({ dir, log: quietLog, flushIntervalMs: 5 });
+    await recorder.start();
+    recorder.record(trade(run));
+    await recorder.stop();
+  }
+
+  const names = await listRecordings(dir);
+  assert.equal(names.length, 2);
+  const trades = (await Promise.all(names.map((name) => readRecording(path.join(dir, name))))).flat();
+  assert.deepEqual(trades.map((item) => item.tradeId), [0, 1]);
+});
+
+test('recorder: old files past retention or the total size limit are removed on start', async (t) => {
+  const dir = await tempDir(t);
+  const write = async (name, bytes, ageMs) => {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, Buffer.alloc(bytes));
+    const at = new Date(Date.now() - ageMs);
+    await fs.utimes(file, at, at);
+  };
+  await write('trades-2026-09-01T10.ndjson.gz', 10, 40 * 24 * 60 * 60_000); // past retention
+  await write('trades-2026-10-01T08.ndjson.gz', 600, 3 * 60 * 60_000); // oldest, over the size limit
+  await write('trades-2026-10-01T09.ndjson.gz', 600, 2 * 60 * 60_000);
+  await write('notes.txt', 5_000, 40 * 24 * 60 * 60_000); // not a recording: left alone
+
+  const recorder = createTradeRecorder({ dir, log: quietLog, maxTotalBytes: 1_000, retentionMs: 7 * 24 * 60 * 60_000 });
+  await recorder.start();
+  await recorder.stop();
+
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['notes.txt', 'trades-2026-10-01T09.ndjson.gz']);
+});
+
+test('record and replay: recorded trades drive the replay script to the same alerts', async (t) => {
+  const dir = await tempDir(t);
+  const recorder = createTradeRecorder({ dir, log: quietLog, flushIntervalMs: 5 });
+  await recorder.start();
+  for (let i = 0; i < 20; i += 1) recorder.record(trade(i)); // $100 a second: $1,000 after 10s, $2,000 after 20s
+  recorder.record(trade(20, { market: 'futures', quoteUsd: 1_000_000 }));
+  recorder.record(trade(21, { exchange: 'bybit', quoteUsd: 1_000_000 }));
+  await recorder.stop();
+
+  const { stdout } = await promisify(execFile)(
+    process.execPath,
+    [REPLAY, dir, '--combo', 'threshold=1k window=1m cooldown=5m digest=0', '--exchange', 'binance'],
+    { timeout: 30_000 }
+  );
+
+  assert.match(stdout, /^Replayed 20 spot trades from 1 file\(s\), 2026-10-01T10:00:00\.000Z -> 2026-10-01T10:00:19\.000Z/);
+  const [, alerts] = /'threshold=1k window=1m cooldown=5m digest=0'\s*│\s*(\d+)\s*│/.exec(stdout);
+  assert.equal(Number(alerts), 2);
+  assert.match(stdout, /'2026-10-01T10:00:09\.000Z'.*'PEPEUSDT'.*'\$1,000'.*'1x'/);
+  assert.match(stdout, /'2026-10-01T10:00:19\.000Z'.*'PEPEUSDT'.*'\$2,000'.*'2x \(escalation\)'/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSymbol, parseQuoteAssets, createUsdRates } = require('../src/usd-rates');
+
+const MINUTE = 60_000;
+
+test('splitSymbol: longest quote asset wins', () => {
+  assert.deepEqual(splitSymbol('pepeusdt'), { base: 'pepe', quote: 'usdt' });
+  assert.deepEqual(splitSymbol('BTCFDUSD'), { base: 'btc', quote: 'fdusd' });
+  assert.deepEqual(splitSymbol('ethbtc'), { base: 'eth', quote: 'btc' });
+  assert.deepEqual(splitSymbol('usdttry'), { base: 'usdt', quote: 'try' });
+  assert.equal(splitSymbol('usdt'), undefined); // nothing left for the base
+  assert.equal(splitSymbol('btcjpy'), undefined);
+});
+
+test('splitSymbol: only the enabled quote assets', () => {
+  assert.equal(splitSymbol('ethbtc', ['usdt']), undefined);
+  assert.deepEqual(splitSymbol('wifusdc', ['usdt', 'usdc']), { base: 'wif', quote: 'usdc' });
+});
+
+test('parseQuoteAssets: normalizes and rejects assets without a conversion pair', () => {
+  assert.deepEqual(parseQuoteAssets(' USDT, usdc,try,usdt'), ['usdt', 'usdc', 'try']);
+  assert.throws(() => parseQuoteAssets('usdt,jpy'), /expected a list of/);
+  assert.throws(() => parseQuoteAssets(''), /expected a list of/);
+});
+
+test('toUsd: USDT as is, other quotes through their conversion pair', () => {
+  let now = 0;
+  const rates = createUsdRates({ quoteAssets: ['usdt', 'try', 'btc'], clock: () => now });
+
+  assert.deepEqual(rates.conversionSymbols().sort(), ['btcusdt', 'usdttry']);
+  assert.equal(rates.toUsd('pepeusdt', 1000), 1000);
+  assert.equal(rates.toUsd('pepetry', 1000), undefined); // no rate yet
+
+  rates.update('usdttry', 40); // TRY per USDT: inverted
+  rates.update('btcusdt', 64_000);
+  rates.update('ethusdt', 3_500); // eth not enabled: ignored
+  assert.equal(rates.toUsd('pepetry', 4000), 100);
+  assert.equal(rates.toUsd('solbtc', 0.5), 32_000);
+  assert.equal(rates.toUsd('soleth', 1), undefined);
+  assert.equal(rates.supports('soleth'), false);
+});
+
+test('toUsd: stale rates are refused', () => {
+  let now = 0;
+  const rates = createUsdRates({ quoteAssets: ['usdt', 'eur'], maxAgeMs: 15 * MINUTE, clock: () => now });
+
+  rates.update('eurusdt', 1.08);
+  now = 15 * MINUTE;
+  assert.equal(rates.toUsd('btceur', 100), 108);
+  assert.deepEqual(rates.getStatus().eur, { rate: 1.08, ageMs: 15 * MINUTE, stale: false });
+
+  now = 15 * MINUTE + 1;
+  assert.equal(rates.toUsd('btceur', 100), undefined);
+  assert.equal(rates.getStatus().eur.stale, true);
+  assert.equal(rates.getRate('usdt'), 1);
+});